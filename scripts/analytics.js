@@ -0,0 +1,258 @@
+/**
+ * Holder concentration and flow analytics for a ClawFriend subject
+ * Pure functions over holder balances and indexed trades (see trade-indexer.js), plus
+ * analyzeSubject(), which gathers them for `buy-sell-shares.js analyze <subject>`.
+ */
+
+import { ethers } from 'ethers';
+import { getProvider } from './provider.js';
+import { apiRequest, warning } from './utils.js';
+import { CLAW_FRIEND_ABI } from './constants/claw-friend-abi.js';
+import { getPrice } from './pricing.js';
+import { readIndexedTrades, getIndexCheckpoint, getTopTraders, getContractAddress } from './trade-indexer.js';
+
+/**
+ * @typedef {Object} HolderBalance
+ * @property {string} holder - Holder address
+ * @property {bigint} balance - Shares held
+ */
+
+/**
+ * Gini coefficient of holdings: 0 = everyone holds the same, close to 1 = one holder has everything
+ * @param {bigint[]} balances
+ * @returns {number|null} null when nobody holds shares
+ */
+export function computeGini(balances) {
+  const values = balances
+    .map(Number)
+    .filter((b) => b > 0)
+    .sort((a, b) => a - b);
+  const n = values.length;
+  const total = values.reduce((sum, b) => sum + b, 0);
+  if (n === 0 || total === 0) return null;
+  const weighted = values.reduce((sum, b, i) => sum + (i + 1) * b, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Holder count, Gini and the share of supply held by the largest holders
+ * @param {HolderBalance[]} holders
+ * @param {bigint} supply - On-chain supply (the denominator for shares)
+ * @param {number} [top=10]
+ * @returns {{holders: number, gini: number|null, topHolders: HolderBalance[], topShare: number|null, covered: bigint}}
+ */
+export function getConcentration(holders, supply, top = 10) {
+  const positive = holders.filter((h) => h.balance > 0n).sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+  const topHolders = positive.slice(0, top);
+  const topTotal = topHolders.reduce((sum, h) => sum + h.balance, 0n);
+  return {
+    holders: positive.length,
+    gini: computeGini(positive.map((h) => h.balance)),
+    topHolders,
+    topShare: supply > 0n ? Number(topTotal) / Number(supply) : null,
+    // Shares accounted for by the holder list; less than supply means the list is incomplete
+    covered: positive.reduce((sum, h) => sum + h.balance, 0n)
+  };
+}
+
+/**
+ * Current balance of every trader of a subject, from the traderBalance of their last trade.
+ * Complete only when the index covers the subject's whole history.
+ * @param {import('./trade-indexer.js').IndexedTrade[]} trades - One subject's trades in block order
+ * @returns {HolderBalance[]}
+ */
+export function getHolderBalancesFromTrades(trades) {
+  const latest = new Map();
+  for (const t of trades) {
+    latest.set(t.trader.toLowerCase(), { holder: t.trader, balance: BigInt(t.traderBalance) });
+  }
+  return [...latest.values()].filter((h) => h.balance > 0n);
+}
+
+/**
+ * Net share and BNB flows (BNB incl. fees: buyers pay price + fees, sellers get price - fees)
+ * @param {import('./trade-indexer.js').IndexedTrade[]} trades
+ * @returns {{trades: number, sharesBought: bigint, sharesSold: bigint, netShares: bigint, bnbIn: bigint, bnbOut: bigint, netBnb: bigint}}
+ */
+export function getNetFlows(trades) {
+  const flows = { trades: trades.length, sharesBought: 0n, sharesSold: 0n, bnbIn: 0n, bnbOut: 0n };
+  for (const t of trades) {
+    const fees = BigInt(t.protocolFee) + BigInt(t.subjectFee);
+    if (t.side === 'buy') {
+      flows.sharesBought += BigInt(t.amount);
+      flows.bnbIn += BigInt(t.price) + fees;
+    } else {
+      flows.sharesSold += BigInt(t.amount);
+      flows.bnbOut += BigInt(t.price) - fees;
+    }
+  }
+  return {
+    ...flows,
+    netShares: flows.sharesBought - flows.sharesSold,
+    netBnb: flows.bnbIn - flows.bnbOut
+  };
+}
+
+/**
+ * Time-weighted average spot price (wei for the next share, before fees) over [from, to].
+ * The spot price after each trade follows from its supply on the bonding curve and holds
+ * until the next trade. Before the first known trade there is no price, so the window
+ * then starts at that trade.
+ * @param {import('./trade-indexer.js').IndexedTrade[]} trades - One subject's trades in block order
+ * @param {{from: number, to: number}} window - Unix seconds
+ * @returns {{twap: bigint, from: number, to: number}|null} null when no price is known in the window
+ */
+export function getTwap(trades, { from, to }) {
+  const spot = (trade) => getPrice(BigInt(trade.supply), 1n);
+  let price = null;
+  let since = from;
+  let weighted = 0n;
+  let seconds = 0;
+  for (const trade of trades) {
+    if (trade.timestamp > to) break;
+    if (trade.timestamp <= from) {
+      price = spot(trade);
+      continue;
+    }
+    if (price != null) {
+      weighted += price * BigInt(trade.timestamp - since);
+      seconds += trade.timestamp - since;
+    }
+    since = trade.timestamp;
+    price = spot(trade);
+  }
+  if (price != null && to > since) {
+    weighted += price * BigInt(to - since);
+    seconds += to - since;
+  }
+  if (seconds === 0) return null;
+  return { twap: weighted / BigInt(seconds), from: to - seconds, to };
+}
+
+/**
+ * Page through /v1/agents/<subject>/holders
+ * @param {string} subject
+ * @param {number} [limit=100]
+ * @returns {Promise<Array<{holder: string, balance: bigint}>>}
+ */
+export async function getSubjectHolders(subject, limit = 100) {
+  const holders = [];
+  for (let page = 1; ; page++) {
+    const res = await apiRequest(`/v1/agents/${subject}/holders?page=${page}&limit=${limit}`);
+    const items = Array.isArray(res) ? res : res.items || res.holders || res.data || [];
+    for (const item of items) {
+      const holder =
+        item.holder || item.trader || item.address || item.wallet_address || item.walletAddress || item.agent?.subject;
+      if (!holder) continue;
+      const balance = item.balance ?? item.amount ?? item.shares ?? 0;
+      holders.push({ holder: ethers.getAddress(holder), balance: BigInt(balance) });
+    }
+    if (items.length < limit) break;
+  }
+  return holders;
+}
+
+/**
+ * Holder concentration, self-holding, recent flows and TWAP for a subject.
+ * Holders come from the API (falling back to balances in the trade index); flows and TWAP
+ * come from the trade index (trade-indexer.js sync), supply and spot price from the contract.
+ * @param {string} sub - Checksummed subject address
+ * @param {{days?: number, now?: number}} [options] - days: window for flows and TWAP
+ * @returns {Promise<Object>}
+ */
+export async function analyzeSubject(sub, { days = 7, now = Date.now() } = {}) {
+  const provider = await getProvider();
+  const contract = new ethers.Contract(getContractAddress(), CLAW_FRIEND_ABI, provider);
+  const [supply, selfBalance, spotPrice, head] = await Promise.all([
+    contract.sharesSupply(sub),
+    contract.sharesBalance(sub, sub),
+    contract.getBuyPrice(sub, 1n),
+    provider.getBlockNumber()
+  ]);
+
+  const trades = await readIndexedTrades({ subject: sub });
+  let holders;
+  let holdersSource = 'api';
+  let holdersError = null;
+  try {
+    holders = await getSubjectHolders(sub);
+  } catch (e) {
+    holdersError = e.message;
+    holders = getHolderBalancesFromTrades(trades);
+    holdersSource = 'index';
+  }
+
+  const to = Math.floor(now / 1000);
+  const from = to - Math.round(days * 86400);
+  const recent = trades.filter((t) => t.timestamp >= from && t.timestamp <= to);
+  const checkpoint = getIndexCheckpoint();
+  return {
+    subject: sub,
+    supply,
+    spotPrice,
+    selfBalance,
+    selfShare: supply > 0n ? Number(selfBalance) / Number(supply) : null,
+    holdersSource,
+    holdersError,
+    concentration: getConcentration(holders, supply),
+    days,
+    flows: getNetFlows(recent),
+    topTraders: getTopTraders(recent, 5),
+    twap: getTwap(trades, { from, to }),
+    index: {
+      trades: trades.length,
+      lastBlock: checkpoint?.lastBlock ?? null,
+      blocksBehind: checkpoint ? head - checkpoint.lastBlock : null
+    }
+  };
+}
+
+/**
+ * Print an analyzeSubject() result with warnings for stale or partial data
+ * @param {Object} a - analyzeSubject() result
+ */
+export function printAnalysis(a) {
+  const bnb = (wei) => `${ethers.formatEther(wei)} BNB`;
+  const pct = (ratio) => (ratio == null ? 'n/a' : `${(ratio * 100).toFixed(1)}%`);
+  const signed = (wei) => (wei >= 0n ? `+${bnb(wei)}` : `-${bnb(-wei)}`);
+  const c = a.concentration;
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`📊 Analysis: ${a.subject}`);
+  console.log('='.repeat(60));
+  console.log(`  Supply: ${a.supply} share(s)   Spot price: ${bnb(a.spotPrice)} (next share, before fees)`);
+  console.log(`  Subject self-holding: ${a.selfBalance} (${pct(a.selfShare)} of supply)`);
+  console.log(`\n  Holders (${a.holdersSource === 'api' ? 'API' : 'trade index'}): ${c.holders}`);
+  console.log(`  Gini: ${c.gini == null ? 'n/a' : c.gini.toFixed(3)}   Top ${c.topHolders.length}: ${pct(c.topShare)} of supply`);
+  c.topHolders.forEach((h, i) => {
+    const self = h.holder.toLowerCase() === a.subject.toLowerCase() ? ' (subject)' : '';
+    console.log(`    ${String(i + 1).padStart(2)}. ${h.holder}  ${h.balance}${self}`);
+  });
+
+  console.log(`\n  Last ${a.days} day(s) (trade index):`);
+  const f = a.flows;
+  console.log(`    Trades: ${f.trades}   Shares: +${f.sharesBought} / -${f.sharesSold} (net ${f.netShares >= 0n ? '+' : ''}${f.netShares})`);
+  console.log(`    BNB: ${bnb(f.bnbIn)} in / ${bnb(f.bnbOut)} out (net ${signed(f.netBnb)})`);
+  a.topTraders.forEach((t) => {
+    console.log(`    ${t.trader}  volume ${bnb(t.volume)}  net shares ${t.netShares >= 0n ? '+' : ''}${t.netShares}`);
+  });
+  if (a.twap) {
+    const hours = ((a.twap.to - a.twap.from) / 3600).toFixed(1);
+    console.log(`    TWAP: ${bnb(a.twap.twap)} over ${hours}h (spot is ${pct(Number(a.spotPrice) / Number(a.twap.twap) - 1)} vs TWAP)`);
+  } else {
+    console.log('    TWAP: n/a (no indexed trades up to now)');
+  }
+  console.log('='.repeat(60));
+
+  if (a.holdersError) {
+    warning(`Holders API failed (${a.holdersError}); holder balances come from the trade index`);
+  }
+  if (c.covered !== a.supply) {
+    warning(`Holder list accounts for ${c.covered} of ${a.supply} share(s) - concentration is approximate`);
+  }
+  if (a.index.lastBlock == null) {
+    warning('No trade index - run: node scripts/trade-indexer.js sync --from <block>');
+  } else if (a.index.blocksBehind > 1000) {
+    warning(`Trade index is ${a.index.blocksBehind} blocks behind - run: node scripts/trade-indexer.js sync`);
+  }
+}
@@ -6,178 +6,2148 @@
 import { checkDependencies } from './check-dependencies.js';
 checkDependencies(['ethers']);
 
+import fs from 'fs';
 import { ethers } from 'ethers';
 import { getWallet } from './wallet.js';
+import { getProvider, verifyChainId } from './provider.js';
 import {
   getEnv,
+  getNetwork,
+  setNetwork,
   apiRequest,
+  parseArgs,
   success,
   error,
   warning,
   info
 } from './utils.js';
 import { CLAW_FRIEND_ABI } from './constants/claw-friend-abi.js';
-const CLAW_FRIEND_ADDRESS = `0xCe9aA37146Bd75B5312511c410d3F7FeC2E7f364`
+import { getJournal, recordTrade, computePositions, journalToCsv } from './trade-journal.js';
+import * as pricing from './pricing.js';
+import {
+  getOrders,
+  addOrder,
+  cancelOrder,
+  isTriggered,
+  claimOrder,
+  setOrderPending,
+  completeOrder
+} from './orders.js';
+import {
+  getDcaPlans,
+  setDcaPlan,
+  removeDcaPlan,
+  updateDcaPlan,
+  isDcaDue,
+  getDcaRunCap,
+  isDcaBudgetExhausted
+} from './dca.js';
+import { getTrackedTxs, findTrackedTx, getPendingTxs, trackTx, updateTrackedTx } from './tx-tracker.js';
+import { analyzeSubject, printAnalysis } from './analytics.js';
+import {
+  getTradingPolicy,
+  checkPolicyGates,
+  checkTradingPolicy,
+  getPolicyUsage,
+  engageKillSwitch,
+  PolicyViolationError
+} from './trading-policy.js';
+
+/**
+ * ClawFriend contract address of the active network profile
+ * @returns {string} Checksummed address
+ */
+function getClawFriendAddress() {
+  const { id, contractAddress } = getNetwork();
+  if (!contractAddress) {
+    throw new Error(`Network "${id}" has no contractAddress (set skills.entries.clawfriend.networks.${id}.contractAddress)`);
+  }
+  return ethers.getAddress(contractAddress);
+}
+
+function parseSubject(subject) {
+  try {
+    return ethers.getAddress(subject);
+  } catch (e) {
+    throw new Error('Invalid subject: must be EVM address (0x + 40 hex)');
+  }
+}
+
+function parseAmount(arg) {
+  const n = parseInt(arg, 10);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error('Amount must be an integer >= 1');
+  }
+  return BigInt(n);
+}
+
+function parseBnb(arg, flag) {
+  try {
+    const wei = ethers.parseEther(String(arg));
+    if (wei < 0n) throw new Error('negative');
+    return wei;
+  } catch (e) {
+    throw new Error(`${flag} must be a BNB amount (e.g. 0.05)`);
+  }
+}
+
+function parseSlippage(arg) {
+  const pct = Number(arg);
+  if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+    throw new Error('--slippage must be a percentage between 0 and 100');
+  }
+  // Basis points keep the comparison in integer wei math
+  return BigInt(Math.round(pct * 100));
+}
+
+/**
+ * Build trade limits from CLI flags
+ * @param {Object} flags - Parsed flags (max-cost, min-proceeds, slippage)
+ * @returns {{maxCost?: bigint, minProceeds?: bigint, slippageBps?: bigint}}
+ */
+export function parseTradeLimits(flags = {}) {
+  const limits = {};
+  if (flags['max-cost'] != null) limits.maxCost = parseBnb(flags['max-cost'], '--max-cost');
+  if (flags['min-proceeds'] != null) limits.minProceeds = parseBnb(flags['min-proceeds'], '--min-proceeds');
+  if (flags.slippage != null) limits.slippageBps = parseSlippage(flags.slippage);
+  return limits;
+}
+
+function hasLimits(limits) {
+  return limits.maxCost != null || limits.minProceeds != null || limits.slippageBps != null;
+}
+
+/**
+ * Abort if the fresh on-chain price breaks max-cost/min-proceeds or moved beyond slippage
+ * @param {'buy'|'sell'} side
+ * @param {bigint} quoted - Price after fee the trade was decided on (wei)
+ * @param {bigint} current - Price after fee re-quoted right before sending (wei)
+ * @param {{maxCost?: bigint, minProceeds?: bigint, slippageBps?: bigint}} limits
+ */
+export function assertWithinLimits(side, quoted, current, limits = {}) {
+  const fmt = (wei) => ethers.formatEther(wei);
+  if (side === 'buy') {
+    if (limits.maxCost != null && current > limits.maxCost) {
+      throw new Error(`Cost ${fmt(current)} BNB exceeds --max-cost ${fmt(limits.maxCost)} BNB`);
+    }
+    if (limits.slippageBps != null && current > quoted + (quoted * limits.slippageBps) / 10000n) {
+      throw new Error(
+        `Price moved beyond slippage tolerance: quoted ${fmt(quoted)} BNB, now ${fmt(current)} BNB`
+      );
+    }
+  } else {
+    if (limits.minProceeds != null && current < limits.minProceeds) {
+      throw new Error(`Proceeds ${fmt(current)} BNB below --min-proceeds ${fmt(limits.minProceeds)} BNB`);
+    }
+    if (limits.slippageBps != null && current < quoted - (quoted * limits.slippageBps) / 10000n) {
+      throw new Error(
+        `Price moved beyond slippage tolerance: quoted ${fmt(quoted)} BNB, now ${fmt(current)} BNB`
+      );
+    }
+  }
+}
+
+/**
+ * What execTransaction re-checks right before sending: the price after fee the trade was
+ * decided on and the limits to hold the fresh on-chain price to. Null without limits.
+ * @param {'buy'|'sell'} side
+ * @param {string} subject
+ * @param {bigint} amount
+ * @param {bigint} quoted - Reference price after fee (wei)
+ * @param {{maxCost?: bigint, minProceeds?: bigint, slippageBps?: bigint}} limits
+ * @returns {{side: string, subject: string, amount: bigint, quoted: bigint, limits: Object} | null}
+ */
+function buildPriceGuard(side, subject, amount, quoted, limits) {
+  if (!hasLimits(limits)) return null;
+  return { side, subject, amount, quoted, limits };
+}
+
+/**
+ * Re-quote a guarded trade on-chain and throw if the price now breaks its limits
+ * @param {{side: string, subject: string, amount: bigint, quoted: bigint, limits: Object}} guard
+ * @param {ethers.Contract} [contract]
+ * @returns {Promise<bigint>} Current price after fee (wei)
+ */
+export async function checkPriceGuard(guard, contract) {
+  const { priceAfterFee } = await getQuoteOnChain(guard.side, guard.subject, guard.amount, contract);
+  assertWithinLimits(guard.side, guard.quoted, priceAfterFee, guard.limits);
+  return priceAfterFee;
+}
+
+const CLAW_FRIEND_INTERFACE = new ethers.Interface(CLAW_FRIEND_ABI);
+
+// ERC-1967 implementation slot; a UUPS implementation returns it from proxiableUUID()
+const ERC1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// How far an API buy value may exceed the on-chain price after fee (the contract keeps overpayment)
+const API_VALUE_TOLERANCE_BPS = 500n;
+
+let _verifiedContract = null;
+
+/**
+ * Check that the network's contract address is the expected UUPS proxy: it has code, its ERC-1967
+ * slot points at an implementation whose proxiableUUID() is that slot, and it answers
+ * UPGRADE_INTERFACE_VERSION() from the ABI. proxiableUUID() is called on the
+ * implementation because it reverts when called through the proxy.
+ * @param {ethers.Provider} provider
+ * @returns {Promise<string>} Implementation address
+ */
+async function verifyClawFriendContract(provider) {
+  const address = getClawFriendAddress();
+  const fail = (reason) => {
+    throw new Error(`${address} is not the ClawFriend contract (${reason}) - refusing to sign`);
+  };
+  if ((await provider.getCode(address)) === '0x') fail('no code');
+
+  const slot = await provider.getStorage(address, ERC1967_IMPLEMENTATION_SLOT);
+  const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+  if (implementation === ethers.ZeroAddress) fail('no ERC-1967 implementation');
+
+  const readOnly = (address) => new ethers.Contract(address, CLAW_FRIEND_ABI, provider);
+  let uuid;
+  try {
+    uuid = await readOnly(implementation).proxiableUUID();
+    await readOnly(address).UPGRADE_INTERFACE_VERSION();
+  } catch (e) {
+    fail(`ABI check failed: ${decodeRevert(e)}`);
+  }
+  if (uuid !== ERC1967_IMPLEMENTATION_SLOT) fail(`implementation proxiableUUID is ${uuid}`);
+  return implementation;
+}
+
+/**
+ * Run before every signature: chain id on each RPC endpoint, the contract (once per
+ * process) and that the transaction targets the ClawFriend contract.
+ * @param {ethers.Provider} provider
+ * @param {{to: string}} txRequest
+ */
+async function verifyWriteTarget(provider, txRequest) {
+  await verifyChainId(provider);
+  if (_verifiedContract === null) {
+    _verifiedContract = verifyClawFriendContract(provider).catch((e) => {
+      _verifiedContract = null;
+      throw e;
+    });
+  }
+  await _verifiedContract;
+  if (!txRequest.to || ethers.getAddress(txRequest.to) !== getClawFriendAddress()) {
+    throw new Error(`Transaction target ${txRequest.to} is not the ClawFriend contract - refusing to sign`);
+  }
+}
+
+async function getSigner() {
+  const provider = await getProvider();
+  return getWallet().connect(provider);
+}
+
+async function getContractWithSigner(signer) {
+  return new ethers.Contract(getClawFriendAddress(), CLAW_FRIEND_ABI, signer ?? (await getSigner()));
+}
+
+export async function getQuoteOnChain(side, subject, amount, contract) {
+  contract ??= await getContractWithSigner();
+  const sub = parseSubject(subject);
+  const amt = parseAmount(String(amount));
+  const supply = await contract.sharesSupply(sub);
+  const priceAfterFee =
+    side === 'buy'
+      ? await contract.getBuyPriceAfterFee(sub, amt)
+      : await contract.getSellPriceAfterFee(sub, amt);
+  return { supply, priceAfterFee, side, subject: sub, amount: amt };
+}
+
+/**
+ * Decode a revert into the contract's custom error (or Error(string)/Panic) when possible
+ * @param {Error} e - Error thrown by ethers call/estimateGas/sendTransaction
+ * @returns {string}
+ */
+export function decodeRevert(e) {
+  const data = e?.data ?? e?.info?.error?.data ?? e?.error?.data;
+  if (typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = CLAW_FRIEND_INTERFACE.parseError(data);
+      if (parsed) {
+        const args = parsed.args.map((a) => a.toString()).join(', ');
+        return `${parsed.name}(${args})`;
+      }
+    } catch (err) {
+      // Unknown selector - fall through to the message ethers produced
+    }
+  }
+  return e?.reason || e?.shortMessage || e?.message || 'unknown error';
+}
+
+/**
+ * Trading rule violation (see "Trading Rules & Restrictions" in buy-sell-shares.md).
+ * Raised both by local pre-trade checks and for the matching API 400 error codes.
+ */
+export class TradeRuleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TradeRuleError';
+    this.code = code;
+  }
+}
+
+/**
+ * A broadcast transaction that did not confirm as a trade: reverted on-chain (TX_REVERTED),
+ * replaced by another transaction with its nonce (TX_REPLACED), dropped from the mempool
+ * (TX_DROPPED) or still unconfirmed when the wait timed out (TX_TIMEOUT).
+ */
+export class TransactionError extends Error {
+  constructor(code, hash, message) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+    this.hash = hash;
+  }
+}
+
+const TRADE_RULE_MESSAGES = {
+  ONLY_SUBJECT_CAN_BUY_FIRST_SHARE:
+    'Only the subject can buy the first share (supply is 0). The subject must launch first.',
+  INSUFFICIENT_SUPPLY: 'Not enough shares exist in supply to sell this amount.',
+  CANNOT_SELL_LAST_SHARE: 'The last share in supply cannot be sold.',
+  OWNER_CANNOT_SELL_LAST_SHARE: 'As the subject you must keep at least 1 share of yourself.',
+  INSUFFICIENT_BALANCE: 'You do not hold enough shares to sell this amount.'
+};
+
+/**
+ * Check the contract's trading rules against current supply and balance
+ * @param {Object} params
+ * @param {'buy'|'sell'} params.side
+ * @param {string} params.subject
+ * @param {string} params.trader
+ * @param {bigint} params.amount
+ * @param {bigint} params.supply - sharesSupply(subject)
+ * @param {bigint} [params.balance] - sharesBalance(subject, trader), required for sells
+ * @throws {TradeRuleError}
+ */
+export function checkTradeRules({ side, subject, trader, amount, supply, balance }) {
+  const fail = (code, detail) => {
+    throw new TradeRuleError(code, `${TRADE_RULE_MESSAGES[code]} (${detail})`);
+  };
+  const isSubject = subject.toLowerCase() === trader.toLowerCase();
+  if (side === 'buy') {
+    if (supply === 0n && !isSubject) {
+      fail('ONLY_SUBJECT_CAN_BUY_FIRST_SHARE', `subject ${subject}`);
+    }
+    return;
+  }
+  if (amount > supply) {
+    fail('INSUFFICIENT_SUPPLY', `supply ${supply}, selling ${amount}`);
+  }
+  if (amount === supply) {
+    fail('CANNOT_SELL_LAST_SHARE', `supply ${supply}, selling ${amount}`);
+  }
+  if (balance < amount) {
+    fail('INSUFFICIENT_BALANCE', `holding ${balance}, selling ${amount}`);
+  }
+  if (isSubject && balance - amount < 1n) {
+    fail('OWNER_CANNOT_SELL_LAST_SHARE', `holding ${balance}, selling ${amount}`);
+  }
+}
+
+/**
+ * Read supply (and balance for sells) on-chain and check the trading rules
+ * @returns {Promise<{supply: bigint, balance: bigint|null}>}
+ */
+async function preflightTradeRules(contract, side, subject, amount) {
+  const trader = contract.runner.address;
+  const [supply, balance] = await Promise.all([
+    contract.sharesSupply(subject),
+    side === 'sell' ? contract.sharesBalance(subject, trader) : null
+  ]);
+  checkTradeRules({ side, subject, trader, amount, supply, balance });
+  return { supply, balance };
+}
+
+/**
+ * Convert an API 400 carrying a known trading rule code into a TradeRuleError
+ * @param {Error} e - Error thrown by apiRequest
+ * @returns {Error}
+ */
+export function toTradeRuleError(e) {
+  if (e?.status !== 400 || !e.data) return e;
+  const fields = [e.data.code, e.data.errorCode, e.data.error, e.data.message].flat();
+  for (const field of fields) {
+    if (typeof field !== 'string') continue;
+    const code = Object.keys(TRADE_RULE_MESSAGES).find((c) => field.includes(c));
+    if (code) {
+      const mapped = new TradeRuleError(code, TRADE_RULE_MESSAGES[code]);
+      mapped.status = e.status;
+      mapped.data = e.data;
+      return mapped;
+    }
+  }
+  return e;
+}
+
+/**
+ * Enforce the configured trading policy (see trading-policy.js) on a prepared trade
+ */
+async function enforceTradingPolicy(contract, trade) {
+  const policy = getTradingPolicy();
+  const balance =
+    trade.side === 'buy' && policy.maxSharesPerSubject != null
+      ? await contract.sharesBalance(trade.subject, contract.runner.address)
+      : null;
+  checkTradingPolicy(
+    {
+      side: trade.side,
+      subject: trade.subject,
+      amount: trade.amount,
+      value: trade.txRequest.value ?? 0n,
+      balance
+    },
+    { policy }
+  );
+}
+
+/**
+ * One-line description of a trade failure, with the code for rule/policy errors
+ */
+function formatTradeError(e) {
+  if (e instanceof TradeRuleError || e instanceof PolicyViolationError || e instanceof TransactionError) {
+    return `${e.code}: ${e.message}`;
+  }
+  return decodeRevert(e);
+}
+
+/**
+ * Build the buy/sell contract call on-chain. The quote taken here is the reference for
+ * limits: max-cost/min-proceeds are checked now, and with any limit the trade carries a
+ * priceGuard that execTransaction re-quotes right before sending.
+ * @returns {Promise<Object>} Prepared trade: wallet, txRequest, pricing and priceGuard
+ */
+async function prepareOnChainTrade(side, subject, amount, limits = {}, contract) {
+  contract ??= await getContractWithSigner();
+  const sub = parseSubject(subject);
+  const amt = parseAmount(String(amount));
+  checkPolicyGates(sub);
+  const { supply } = await preflightTradeRules(contract, side, sub, amt);
+  const [price, priceAfterFee] = await Promise.all([
+    side === 'buy' ? contract.getBuyPrice(sub, amt) : contract.getSellPrice(sub, amt),
+    side === 'buy' ? contract.getBuyPriceAfterFee(sub, amt) : contract.getSellPriceAfterFee(sub, amt)
+  ]);
+  assertWithinLimits(side, priceAfterFee, priceAfterFee, limits);
+  const txRequest =
+    side === 'buy'
+      ? await contract.buyShares.populateTransaction(sub, amt, { value: priceAfterFee })
+      : await contract.sellShares.populateTransaction(sub, amt);
+  const trade = {
+    wallet: contract.runner,
+    txRequest,
+    side,
+    subject: sub,
+    amount: amt,
+    supply,
+    price,
+    priceAfterFee,
+    priceGuard: buildPriceGuard(side, sub, amt, priceAfterFee, limits)
+  };
+  await enforceTradingPolicy(contract, trade);
+  return trade;
+}
+
+/**
+ * Convert the API quote transaction payload into an ethers transaction request
+ */
+function buildTxRequest(txPayload) {
+  const value =
+    txPayload.value !== undefined && txPayload.value !== null
+      ? typeof txPayload.value === 'string' && txPayload.value.startsWith('0x')
+        ? BigInt(txPayload.value)
+        : BigInt(txPayload.value)
+      : 0n;
+  const txRequest = {
+    to: ethers.getAddress(txPayload.to),
+    data: txPayload.data || '0x',
+    value
+  };
+  if (txPayload.gasLimit != null && txPayload.gasLimit !== '') {
+    txRequest.gasLimit = BigInt(txPayload.gasLimit);
+  }
+  return txRequest;
+}
+
+/**
+ * Decode ClawFriend Trade events from a transaction receipt
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {Array<Object>} trader, subject, isBuy, shareAmount, ethAmount, protocolEthAmount, subjectEthAmount, supply, traderShareBalance
+ */
+export function parseTradeEvents(receipt) {
+  const trades = [];
+  const address = getClawFriendAddress();
+  for (const log of receipt?.logs || []) {
+    if (ethers.getAddress(log.address) !== address) continue;
+    let parsed;
+    try {
+      parsed = CLAW_FRIEND_INTERFACE.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (parsed?.name !== 'Trade') continue;
+    const a = parsed.args;
+    trades.push({
+      trader: a.trader,
+      subject: a.subject,
+      isBuy: a.isBuy,
+      shareAmount: a.shareAmount,
+      ethAmount: a.ethAmount,
+      protocolEthAmount: a.protocolEthAmount,
+      subjectEthAmount: a.subjectEthAmount,
+      supply: a.supply,
+      traderShareBalance: a.traderShareBalance
+    });
+  }
+  return trades;
+}
+
+function printTrade(trade) {
+  const bnb = (wei) => `${ethers.formatEther(wei)} BNB`;
+  const total = trade.isBuy
+    ? trade.ethAmount + trade.protocolEthAmount + trade.subjectEthAmount
+    : trade.ethAmount - trade.protocolEthAmount - trade.subjectEthAmount;
+  info(`Trade: ${trade.isBuy ? 'BUY' : 'SELL'} ${trade.shareAmount.toString()} share(s)`);
+  info(`  Trader: ${trade.trader}`);
+  info(`  Subject: ${trade.subject}`);
+  info(`  Price: ${bnb(trade.ethAmount)} (protocol fee ${bnb(trade.protocolEthAmount)}, subject fee ${bnb(trade.subjectEthAmount)})`);
+  info(`  ${trade.isBuy ? 'Paid' : 'Received'}: ${bnb(total)}`);
+  info(`  New supply: ${trade.supply.toString()} (your balance: ${trade.traderShareBalance.toString()})`);
+}
+
+function reportTradeResult(result) {
+  const confirmations = result.confirmations > 1 ? ` (${result.confirmations} confirmations)` : '';
+  success(`Tx confirmed${confirmations}: ${result.hash}`);
+  const { explorerUrl } = getNetwork();
+  if (explorerUrl) info(`Explorer: ${explorerUrl}/tx/${result.hash}`);
+  if (result.trades.length === 0) {
+    warning('No Trade event found in receipt');
+  }
+  result.trades.forEach(printTrade);
+}
+
+/**
+ * Parse --gas-price (gwei) and --gas-limit overrides
+ * @param {Object} flags
+ * @returns {{gasPrice?: bigint, gasLimit?: bigint}}
+ */
+export function parseGasOptions(flags = {}) {
+  const gas = {};
+  if (flags['gas-price'] != null) {
+    try {
+      gas.gasPrice = ethers.parseUnits(String(flags['gas-price']), 'gwei');
+    } catch (e) {
+      throw new Error('--gas-price must be a number of gwei (e.g. 1.5)');
+    }
+  }
+  if (flags['gas-limit'] != null) {
+    const n = Number(flags['gas-limit']);
+    if (!Number.isInteger(n) || n < 21000) {
+      throw new Error('--gas-limit must be an integer >= 21000');
+    }
+    gas.gasLimit = BigInt(n);
+  }
+  return gas;
+}
+
+/**
+ * Parse --confirmations and --timeout (seconds to wait for them; 0 waits indefinitely)
+ * @param {Object} flags
+ * @returns {{confirmations: number, timeoutMs: number}}
+ */
+export function parseWaitOptions(flags = {}) {
+  const confirmations = flags.confirmations != null ? Number(flags.confirmations) : 1;
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw new Error('--confirmations must be an integer >= 1');
+  }
+  const timeout = flags.timeout != null ? Number(flags.timeout) : DEFAULT_WAIT_TIMEOUT_SEC;
+  if (!Number.isFinite(timeout) || timeout < 0) {
+    throw new Error('--timeout must be a number of seconds >= 0 (0 waits indefinitely)');
+  }
+  return { confirmations, timeoutMs: Math.round(timeout * 1000) };
+}
+
+/**
+ * Fill gasLimit/gasPrice on the request and refuse if the wallet cannot cover value + gas.
+ * Gas limit: --gas-limit, else the API quote's gasLimit, else estimateGas.
+ * Gas price: --gas-price, else the RPC's current gas price.
+ * @param {ethers.Wallet} wallet
+ * @param {Object} txRequest - Updated in place
+ * @param {{gasPrice?: bigint, gasLimit?: bigint}} [gas]
+ * @param {bigint} [committed=0n] - Wei already set aside for earlier unsent transactions (batch dry-run)
+ * @returns {Promise<{gasEstimate: bigint|null, gasLimit: bigint, gasPrice: bigint, gasCost: bigint, balance: bigint}>}
+ */
+async function prepareGas(wallet, txRequest, gas = {}, committed = 0n) {
+  const provider = wallet.provider;
+  const value = txRequest.value ?? 0n;
+  const balance = await provider.getBalance(wallet.address);
+  const assertFunds = (need, what) => {
+    if (balance - committed < need) {
+      const have = committed > 0n
+        ? `${ethers.formatEther(balance - committed)} BNB left after ${ethers.formatEther(committed)} BNB for earlier orders`
+        : `${ethers.formatEther(balance)} BNB`;
+      throw new Error(`Insufficient BNB: need ${ethers.formatEther(need)} BNB (${what}), have ${have} in ${wallet.address}`);
+    }
+  };
+  // Checked before estimating: nodes reject estimateGas with an opaque error when value > balance
+  assertFunds(value, 'value');
+
+  let gasEstimate = null;
+  if (gas.gasLimit == null) {
+    try {
+      gasEstimate = await provider.estimateGas({ ...txRequest, from: wallet.address });
+    } catch (e) {
+      throw new Error(`Transaction would revert: ${decodeRevert(e)}`);
+    }
+  }
+  const gasLimit = gas.gasLimit ?? txRequest.gasLimit ?? gasEstimate;
+  let gasPrice = gas.gasPrice;
+  if (gasPrice == null) {
+    const feeData = await provider.getFeeData();
+    gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  }
+  txRequest.gasLimit = gasLimit;
+  txRequest.gasPrice = gasPrice;
+
+  const gasCost = gasLimit * gasPrice;
+  assertFunds(value + gasCost, 'value + max gas');
+  return { gasEstimate, gasLimit, gasPrice, gasCost, balance };
+}
+
+// How long to wait for confirmations before reporting a trade as still pending
+const DEFAULT_WAIT_TIMEOUT_SEC = 180;
+// Minimum gas price increase for a same-nonce replacement; nodes reject anything under 10%
+const REPLACEMENT_BUMP_BPS = 1250n;
+
+/**
+ * Describe a transaction for the tracker: the decoded ClawFriend call, else a plain transfer
+ * @param {{to: string, data?: string, value?: bigint}} txRequest
+ * @returns {string}
+ */
+function describeTx(txRequest) {
+  try {
+    const parsed = CLAW_FRIEND_INTERFACE.parseTransaction({ data: txRequest.data, value: txRequest.value ?? 0n });
+    if (parsed) {
+      return `${parsed.name}(${parsed.args.map((a) => a.toString()).join(', ')})`;
+    }
+  } catch (e) {
+    // Not a ClawFriend call
+  }
+  return `transfer ${ethers.formatEther(txRequest.value ?? 0n)} BNB to ${txRequest.to}`;
+}
+
+/**
+ * Decode the Trade events of a receipt and journal the ones made by `address`,
+ * timestamped with the receipt's block
+ * @returns {Promise<Array<Object>>} All decoded trades
+ */
+async function recordOwnTrades(address, receipt) {
+  const trades = parseTradeEvents(receipt);
+  const own = trades.filter((trade) => trade.trader.toLowerCase() === address.toLowerCase());
+  if (own.length > 0) {
+    const block = await receipt.getBlock();
+    for (const trade of own) {
+      recordTrade(receipt.hash, trade, block.number, block.timestamp);
+    }
+  }
+  return trades;
+}
+
+/**
+ * Re-check a pending tracked transaction against the chain and save its new status.
+ * A receipt settles it (journaling any trade it made); a used nonce without a receipt means
+ * another transaction took its place; a free nonce with the node no longer knowing the
+ * hash means it was dropped from the mempool.
+ * @param {ethers.Provider} provider
+ * @param {import('./tx-tracker.js').TrackedTx} record
+ * @returns {Promise<import('./tx-tracker.js').TrackedTx>}
+ */
+export async function refreshTrackedTx(provider, record) {
+  if (record.status !== 'pending') return record;
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) {
+    if (receipt.status === 1) await recordOwnTrades(record.from, receipt);
+    return updateTrackedTx(record.hash, {
+      status: receipt.status === 1 ? 'confirmed' : 'reverted',
+      blockNumber: receipt.blockNumber
+    });
+  }
+  const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+  if (minedNonce > record.nonce) {
+    const winner = getTrackedTxs().find(
+      (t) =>
+        t.hash !== record.hash &&
+        t.from.toLowerCase() === record.from.toLowerCase() &&
+        t.nonce === record.nonce &&
+        (t.status === 'confirmed' || t.status === 'reverted')
+    );
+    return updateTrackedTx(record.hash, { status: 'replaced', ...(winner && { replacedBy: winner.hash }) });
+  }
+  if ((await provider.getTransaction(record.hash)) === null) {
+    return updateTrackedTx(record.hash, { status: 'dropped' });
+  }
+  return record;
+}
+
+/**
+ * Refuse to send while an earlier transaction from this wallet is still pending: a new
+ * trade would queue behind it and the two may conflict (e.g. a sell of shares it buys).
+ * @param {ethers.Wallet} wallet - Connected wallet
+ */
+async function assertNoPendingTx(wallet) {
+  // Newest first, so a confirmed speed-up is known before the transaction it replaced
+  for (const record of getPendingTxs(wallet.address).reverse()) {
+    const current = await refreshTrackedTx(wallet.provider, record);
+    if (current.status === 'pending') {
+      throw new Error(
+        `Transaction ${current.hash} (nonce ${current.nonce}, ${current.label}) is still pending - ` +
+          'check it with "tx status <hash>" or replace it with "tx speedup <hash>" / "tx cancel <hash>"'
+      );
+    }
+  }
+}
+
+/**
+ * Replay a reverted transaction as an eth_call on the state before its block to recover
+ * the revert reason, which receipts do not carry
+ * @returns {Promise<string>}
+ */
+async function getRevertReason(provider, tx, receipt) {
+  if (receipt.gasUsed === tx.gasLimit) return `out of gas (limit ${tx.gasLimit})`;
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: receipt.blockNumber - 1
+    });
+  } catch (e) {
+    return decodeRevert(e);
+  }
+  return 'unknown reason (the call succeeds when replayed)';
+}
+
+/**
+ * Turn a wait timeout into the transaction's actual outcome: it may have been dropped or
+ * replaced meanwhile, or mined without reaching the requested confirmations
+ * @returns {Promise<TransactionError>}
+ */
+async function explainWaitTimeout(provider, tx, { confirmations, timeoutMs }) {
+  const record = findTrackedTx(tx.hash);
+  const current = record ? await refreshTrackedTx(provider, record) : { status: 'pending' };
+  const waited = `after ${timeoutMs / 1000}s`;
+  if (current.status === 'dropped') {
+    return new TransactionError(
+      'TX_DROPPED',
+      tx.hash,
+      `Transaction ${tx.hash} was dropped from the mempool (nonce ${tx.nonce} is free again) - the trade did not execute`
+    );
+  }
+  if (current.status === 'replaced') {
+    return new TransactionError(
+      'TX_REPLACED',
+      tx.hash,
+      `Transaction ${tx.hash} was replaced by ${current.replacedBy ?? 'another transaction'} with the same nonce ${tx.nonce}`
+    );
+  }
+  if (current.status === 'reverted') {
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    return new TransactionError(
+      'TX_REVERTED',
+      tx.hash,
+      `Transaction ${tx.hash} reverted in block ${receipt.blockNumber}: ${await getRevertReason(provider, tx, receipt)}`
+    );
+  }
+  if (current.status === 'confirmed') {
+    const seen = (await provider.getBlockNumber()) - current.blockNumber + 1;
+    return new TransactionError(
+      'TX_TIMEOUT',
+      tx.hash,
+      `Transaction ${tx.hash} was mined in block ${current.blockNumber} but has ${seen} of ${confirmations} confirmation(s) ${waited}`
+    );
+  }
+  return new TransactionError(
+    'TX_TIMEOUT',
+    tx.hash,
+    `Transaction ${tx.hash} is still pending ${waited} (nonce ${tx.nonce}, ${ethers.formatUnits(tx.gasPrice ?? 0n, 'gwei')} gwei) - ` +
+      'check it with "tx status <hash>" or replace it with "tx speedup <hash>" / "tx cancel <hash>"'
+  );
+}
+
+/**
+ * Wait for a tracked transaction's receipt, save its outcome and journal our trades.
+ * If a speed-up from another run replaced it, the replacement's receipt is used.
+ * Anything other than a confirmed trade is thrown as a TransactionError.
+ * @param {ethers.Wallet} wallet
+ * @param {ethers.TransactionResponse} tx
+ * @param {{confirmations?: number, timeoutMs?: number}} [wait] - timeoutMs 0 waits indefinitely
+ * @returns {Promise<{hash: string, tx: ethers.TransactionResponse, receipt: ethers.TransactionReceipt, trades: Array<Object>, confirmations: number}>}
+ */
+async function waitForTransaction(wallet, tx, { confirmations = 1, timeoutMs = DEFAULT_WAIT_TIMEOUT_SEC * 1000 } = {}) {
+  const provider = wallet.provider;
+  let receipt;
+  try {
+    receipt = await tx.wait(confirmations, timeoutMs);
+  } catch (e) {
+    if (e.code === 'TRANSACTION_REPLACED') {
+      updateTrackedTx(tx.hash, { status: 'replaced', replacedBy: e.hash });
+      updateTrackedTx(e.hash, { status: e.receipt.status === 1 ? 'confirmed' : 'reverted', blockNumber: e.receipt.blockNumber });
+      if (e.receipt.status !== 1) {
+        const reason = await getRevertReason(provider, e.replacement, e.receipt);
+        throw new TransactionError(
+          'TX_REVERTED',
+          e.hash,
+          `Transaction ${e.hash} (replacing ${tx.hash}) reverted in block ${e.receipt.blockNumber}: ${reason}`
+        );
+      }
+      if (e.cancelled) {
+        throw new TransactionError(
+          'TX_REPLACED',
+          tx.hash,
+          `Transaction ${tx.hash} was ${e.reason} by ${e.hash} with the same nonce ${tx.nonce} - the trade did not execute`
+        );
+      }
+      receipt = e.receipt;
+    } else if (e.code === 'CALL_EXCEPTION' && e.receipt) {
+      updateTrackedTx(tx.hash, { status: 'reverted', blockNumber: e.receipt.blockNumber });
+      const reason = await getRevertReason(provider, tx, e.receipt);
+      throw new TransactionError('TX_REVERTED', tx.hash, `Transaction ${tx.hash} reverted in block ${e.receipt.blockNumber}: ${reason}`);
+    } else if (e.code === 'TIMEOUT') {
+      throw await explainWaitTimeout(provider, tx, { confirmations, timeoutMs });
+    } else {
+      throw e;
+    }
+  }
+  updateTrackedTx(receipt.hash, { status: 'confirmed', blockNumber: receipt.blockNumber });
+  const trades = await recordOwnTrades(wallet.address, receipt);
+  return { hash: receipt.hash, tx, receipt, trades, confirmations };
+}
+
+/**
+ * Re-quote a guarded trade before its gas is estimated. The contract charges the fresh
+ * price, so a buy whose price rose within its limits is sent with that price as its value
+ * (checked against the trading policy again); prepareGas then estimates at that value.
+ * @param {ethers.Wallet} wallet
+ * @param {Object} txRequest - Updated in place
+ * @param {Object} guard - From the prepared trade (see buildPriceGuard)
+ * @returns {Promise<bigint>} Current price after fee (wei)
+ */
+async function applyPriceGuard(wallet, txRequest, guard) {
+  const contract = await getContractWithSigner(wallet);
+  const current = await checkPriceGuard(guard, contract);
+  if (guard.side === 'buy' && current > (txRequest.value ?? 0n)) {
+    txRequest.value = current;
+    await enforceTradingPolicy(contract, { side: 'buy', subject: guard.subject, amount: guard.amount, txRequest });
+  }
+  return current;
+}
+
+/**
+ * Send (after the pre-sign checks and the pending-transaction guard), track the transaction
+ * with its nonce and gas settings, then wait for the receipt. A priceGuard is re-quoted
+ * last before signing; only the gas estimate, run at the re-quoted value, follows it.
+ * @param {Object|null} [priceGuard] - From the prepared trade (see buildPriceGuard)
+ * @returns {Promise<{hash: string, tx: ethers.TransactionResponse, receipt: ethers.TransactionReceipt, trades: Array<Object>}>}
+ */
+async function execTransaction(wallet, txRequest, gas = {}, wait = {}, priceGuard = null) {
+  await verifyWriteTarget(wallet.provider, txRequest);
+  await assertNoPendingTx(wallet);
+  if (priceGuard) await applyPriceGuard(wallet, txRequest, priceGuard);
+  await prepareGas(wallet, txRequest, gas);
+  const tx = await wallet.sendTransaction(txRequest);
+  trackTx(tx, { label: describeTx(txRequest) });
+  return waitForTransaction(wallet, tx, wait);
+}
+
+export async function buySharesOnChain(subject, amount, limits = {}, gas = {}, wait = {}) {
+  const trade = await prepareOnChainTrade('buy', subject, amount, limits);
+  return execTransaction(trade.wallet, trade.txRequest, gas, wait, trade.priceGuard);
+}
+
+export async function sellSharesOnChain(subject, amount, limits = {}, gas = {}, wait = {}) {
+  const trade = await prepareOnChainTrade('sell', subject, amount, limits);
+  return execTransaction(trade.wallet, trade.txRequest, gas, wait, trade.priceGuard);
+}
+
+/**
+ * Send BNB from a connected wallet (not necessarily the configured one) to a plain address,
+ * with the chain-id check, the pending-transaction guard and tracking used for trades.
+ * With sweep, `value` is ignored and the whole balance minus the gas cost (and `keep`) is sent.
+ * @param {ethers.Wallet} wallet - Connected wallet
+ * @param {string} to
+ * @param {{value?: bigint, sweep?: boolean, keep?: bigint}} amount - keep: BNB (wei) a sweep leaves behind
+ * @returns {Promise<{hash: string, tx: ethers.TransactionResponse, receipt: ethers.TransactionReceipt, value: bigint, gasCost: bigint, confirmations: number}>}
+ */
+export async function transferBnb(wallet, to, { value, sweep = false, keep = 0n }, gas = {}, wait = {}) {
+  const txRequest = { to: ethers.getAddress(to), data: '0x', value: sweep ? 0n : value };
+  if (txRequest.value == null || txRequest.value < 0n) {
+    throw new Error('Transfer needs a non-negative value');
+  }
+  await verifyChainId(wallet.provider);
+  await assertNoPendingTx(wallet);
+  const { gasCost, balance } = await prepareGas(wallet, txRequest, gas);
+  if (sweep) {
+    if (balance <= gasCost + keep) {
+      throw new Error(
+        `Nothing to sweep: balance ${ethers.formatEther(balance)} BNB does not cover gas (${ethers.formatEther(gasCost)} BNB)` +
+          (keep > 0n ? ` plus the ${ethers.formatEther(keep)} BNB to keep` : '')
+      );
+    }
+    txRequest.value = balance - gasCost - keep;
+  }
+  const tx = await wallet.sendTransaction(txRequest);
+  trackTx(tx, { kind: 'transfer', label: describeTx(txRequest) });
+  const result = await waitForTransaction(wallet, tx, wait);
+  return { ...result, value: txRequest.value, gasCost };
+}
+
+/**
+ * How many of a position can be sold right now: the whole balance, capped so the subject's
+ * last share is never sold and a subject keeps its own last share
+ * @param {string} subject
+ * @param {ethers.Contract} [contract] - Defaults to the configured wallet
+ * @returns {Promise<{subject: string, balance: bigint, supply: bigint, sellable: bigint}>}
+ */
+export async function getSellableShares(subject, contract) {
+  contract ??= await getContractWithSigner();
+  const sub = parseSubject(subject);
+  const trader = contract.runner.address;
+  const [supply, balance] = await Promise.all([contract.sharesSupply(sub), contract.sharesBalance(sub, trader)]);
+  let sellable = balance < supply - 1n ? balance : supply - 1n;
+  if (sub.toLowerCase() === trader.toLowerCase() && sellable > balance - 1n) sellable = balance - 1n;
+  return { subject: sub, balance, supply, sellable: sellable > 0n ? sellable : 0n };
+}
+
+export async function getQuoteFromApi(side, subject, amount) {
+  const walletAddress = getEnv('EVM_ADDRESS');
+  if (!walletAddress) {
+    error('EVM_ADDRESS is required for API quote (wallet_address in query).');
+    process.exit(1);
+  }
+  const params = new URLSearchParams({
+    side,
+    shares_subject: parseSubject(subject),
+    amount: String(amount),
+    wallet_address: walletAddress
+  });
+  const quote = await apiRequest(`/v1/share/quote?${params.toString()}`);
+  return quote;
+}
+
+/**
+ * Refuse an API quote transaction that does not do exactly what was asked: it must call
+ * buyShares/sellShares on the ClawFriend contract with the requested subject and amount,
+ * send no value for a sell, and not pay meaningfully more than the on-chain price for a buy.
+ */
+async function verifyApiTransaction(side, subject, amount, txPayload, contract) {
+  const refuse = (reason) => {
+    throw new Error(`API quote transaction rejected: ${reason}`);
+  };
+  const txRequest = buildTxRequest(txPayload);
+  if (txRequest.to !== getClawFriendAddress()) {
+    refuse(`to ${txRequest.to} is not the ClawFriend contract ${getClawFriendAddress()}`);
+  }
+  let call;
+  try {
+    call = CLAW_FRIEND_INTERFACE.parseTransaction({ data: txRequest.data, value: txRequest.value });
+  } catch (e) {
+    call = null;
+  }
+  const expected = side === 'buy' ? 'buyShares' : 'sellShares';
+  if (!call || call.name !== expected) {
+    refuse(`calldata is ${call ? call.name : 'not a ClawFriend call'}, expected ${expected}`);
+  }
+  const [callSubject, callAmount] = call.args;
+  if (ethers.getAddress(callSubject) !== parseSubject(subject)) {
+    refuse(`calldata subject ${callSubject} does not match ${parseSubject(subject)}`);
+  }
+  if (callAmount !== parseAmount(String(amount))) {
+    refuse(`calldata amount ${callAmount} does not match ${amount}`);
+  }
+  if (side === 'sell' && txRequest.value !== 0n) {
+    refuse(`sell sends ${ethers.formatEther(txRequest.value)} BNB`);
+  }
+  if (side === 'buy') {
+    const { priceAfterFee } = await getQuoteOnChain(side, subject, amount, contract);
+    const max = priceAfterFee + (priceAfterFee * API_VALUE_TOLERANCE_BPS) / 10000n;
+    if (txRequest.value > max) {
+      refuse(
+        `value ${ethers.formatEther(txRequest.value)} BNB is more than ${API_VALUE_TOLERANCE_BPS / 100n}% above the on-chain price ${ethers.formatEther(priceAfterFee)} BNB`
+      );
+    }
+  }
+}
+
+/**
+ * Check an API quote against max-cost/min-proceeds; for buys the tx value the API asks us
+ * to send must also respect --max-cost. Slippage is measured from this quote by the
+ * priceGuard re-quote right before sending.
+ * @returns {bigint} The quoted price after fee (wei), the reference for the priceGuard
+ */
+function checkApiQuote(side, quote, limits) {
+  const quoted = BigInt(quote.priceAfterFee ?? quote.transaction.value ?? 0);
+  assertWithinLimits(side, quoted, quoted, limits);
+  if (side === 'buy' && limits.maxCost != null) {
+    const value = BigInt(quote.transaction.value ?? 0);
+    if (value > limits.maxCost) {
+      throw new Error(
+        `API transaction value ${ethers.formatEther(value)} BNB exceeds --max-cost ${ethers.formatEther(limits.maxCost)} BNB`
+      );
+    }
+  }
+  return quoted;
+}
+
+/**
+ * Fetch the API quote (with ready-to-sign transaction) and check it against limits
+ * @returns {Promise<Object>} Prepared trade: wallet, txRequest and pricing
+ */
+async function prepareApiTrade(side, subject, amount, limits = {}, contract) {
+  contract ??= await getContractWithSigner();
+  checkPolicyGates(parseSubject(subject));
+  const { supply } = await preflightTradeRules(
+    contract,
+    side,
+    parseSubject(subject),
+    parseAmount(String(amount))
+  );
+  let quote;
+  try {
+    quote = await getQuoteFromApi(side, subject, amount);
+  } catch (e) {
+    throw toTradeRuleError(e);
+  }
+  if (!quote.transaction) {
+    throw new Error('API did not return a transaction. Check wallet_address and response.');
+  }
+  await verifyApiTransaction(side, subject, amount, quote.transaction, contract);
+  const quoted = checkApiQuote(side, quote, limits);
+  const toBigInt = (v) => (v !== undefined && v !== null ? BigInt(v) : null);
+  const trade = {
+    wallet: contract.runner,
+    txRequest: buildTxRequest(quote.transaction),
+    side,
+    subject: parseSubject(subject),
+    amount: parseAmount(String(amount)),
+    supply,
+    price: toBigInt(quote.price),
+    priceAfterFee: toBigInt(quote.priceAfterFee),
+    protocolFee: toBigInt(quote.protocolFee),
+    subjectFee: toBigInt(quote.subjectFee),
+    priceGuard: buildPriceGuard(side, parseSubject(subject), parseAmount(String(amount)), quoted, limits)
+  };
+  await enforceTradingPolicy(contract, trade);
+  return trade;
+}
+
+export async function buySharesViaApi(subject, amount, limits = {}, gas = {}, wait = {}) {
+  const trade = await prepareApiTrade('buy', subject, amount, limits);
+  return execTransaction(trade.wallet, trade.txRequest, gas, wait, trade.priceGuard);
+}
+
+export async function sellSharesViaApi(subject, amount, limits = {}, gas = {}, wait = {}) {
+  const trade = await prepareApiTrade('sell', subject, amount, limits);
+  return execTransaction(trade.wallet, trade.txRequest, gas, wait, trade.priceGuard);
+}
+
+/**
+ * Simulate a trade without broadcasting: eth_call + estimateGas against the configured RPC.
+ * Throws with the decoded revert if the contract would reject the call.
+ * @param {'buy'|'sell'} side
+ * @param {string} subject
+ * @param {string|number} amount
+ * @param {{onChain?: boolean, limits?: Object, gas?: Object, contract?: ethers.Contract}} [options]
+ * @returns {Promise<Object>} Trade pricing plus gasEstimate, gasLimit, gasPrice, gasCost, balance and resultingSupply
+ */
+export async function simulateTrade(
+  side,
+  subject,
+  amount,
+  { onChain = false, limits = {}, gas = {}, contract } = {}
+) {
+  contract ??= await getContractWithSigner();
+  const trade = onChain
+    ? await prepareOnChainTrade(side, subject, amount, limits, contract)
+    : await prepareApiTrade(side, subject, amount, limits, contract);
+  return simulatePreparedTrade(trade, gas);
+}
+
+async function simulatePreparedTrade(trade, gas) {
+  const { wallet, txRequest } = trade;
+  const provider = wallet.provider;
+  await verifyWriteTarget(provider, txRequest);
+  if (trade.priceGuard) await applyPriceGuard(wallet, txRequest, trade.priceGuard);
+  const callRequest = { ...txRequest, from: wallet.address };
+
+  try {
+    await provider.call(callRequest);
+  } catch (e) {
+    throw new Error(`Simulation reverted: ${decodeRevert(e)}`);
+  }
+
+  const gasInfo = await prepareGas(wallet, txRequest, gas);
+  return {
+    ...trade,
+    ...gasInfo,
+    resultingSupply: trade.side === 'buy' ? trade.supply + trade.amount : trade.supply - trade.amount
+  };
+}
+
+function printSimulation(sim) {
+  const bnb = (wei) => `${ethers.formatEther(wei)} BNB`;
+  info(`Side: ${sim.side} ${sim.amount.toString()} share(s) of ${sim.subject}`);
+  info(`Supply: ${sim.supply.toString()} -> ${sim.resultingSupply.toString()}`);
+  if (sim.price != null) {
+    info(`Price before fee: ${bnb(sim.price)}`);
+    const fees =
+      sim.protocolFee != null && sim.subjectFee != null
+        ? sim.protocolFee + sim.subjectFee
+        : sim.side === 'buy'
+          ? sim.priceAfterFee - sim.price
+          : sim.price - sim.priceAfterFee;
+    info(`Fees: ${bnb(fees)}`);
+  }
+  info(`${sim.side === 'buy' ? 'Cost' : 'Proceeds'} after fee: ${bnb(sim.priceAfterFee)}`);
+  const estimate = sim.gasEstimate != null ? `${sim.gasEstimate.toString()} estimated, ` : '';
+  info(`Gas: ${estimate}limit ${sim.gasLimit.toString()} @ ${ethers.formatUnits(sim.gasPrice, 'gwei')} gwei`);
+  info(`Max gas cost: ${bnb(sim.gasCost)}`);
+  info(`Wallet balance: ${bnb(sim.balance)}`);
+  if (sim.side === 'buy') {
+    info(`Total (cost + gas): ${bnb((sim.txRequest.value ?? 0n) + sim.gasCost)}`);
+  }
+}
+
+/**
+ * P&L per subject from the journal; open positions are valued on-chain with
+ * getSellPriceAfterFee (selling the whole position at once)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getJournalPnl() {
+  const positions = [...computePositions(getJournal()).values()];
+  const contract = positions.some((p) => p.shares > 0n) ? await getContractWithSigner() : null;
+  for (const p of positions) {
+    p.value = 0n;
+    p.unrealized = 0n;
+    if (p.shares === 0n) continue;
+    try {
+      p.value = await contract.getSellPriceAfterFee(p.subject, p.shares);
+      p.unrealized = p.value - p.costBasis;
+    } catch (e) {
+      p.value = null;
+      p.unrealized = null;
+      warning(`Could not value ${p.subject}: ${decodeRevert(e)}`);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Page through /v1/agents/me/holdings
+ * @param {number} [limit=50] - Page size
+ * @returns {Promise<Array<{subject: string, balance: bigint, raw: Object}>>}
+ */
+export async function getApiHoldings(limit = 50) {
+  const holdings = [];
+  for (let page = 1; ; page++) {
+    const res = await apiRequest(`/v1/agents/me/holdings?page=${page}&limit=${limit}`);
+    const items = Array.isArray(res) ? res : res.items || res.holdings || res.data || [];
+    for (const item of items) {
+      const subject =
+        item.subject || item.subjectAddress || item.shares_subject || item.agent?.subject;
+      if (!subject) continue;
+      const balance = item.balance ?? item.amount ?? item.shares ?? 0;
+      holdings.push({ subject: ethers.getAddress(subject), balance: BigInt(balance), raw: item });
+    }
+    if (items.length < limit) break;
+  }
+  return holdings;
+}
+
+/**
+ * Reconcile API holdings with on-chain sharesBalance and value each position.
+ * Subjects from the local journal are included so positions the API misses still show up.
+ * @param {{apiFallback?: boolean}} [options] - apiFallback: on an API error, warn and
+ *   continue with the journal's subjects only
+ * @returns {Promise<{wallet: string, positions: Array<Object>, totalValue: bigint}>}
+ */
+export async function getPortfolio({ apiFallback = false } = {}) {
+  const contract = await getContractWithSigner();
+  const wallet = contract.runner.address;
+  let apiHoldings = [];
+  try {
+    apiHoldings = await getApiHoldings();
+  } catch (e) {
+    if (!apiFallback) throw e;
+    warning(`Holdings API failed (${e.message}); positions come from the trade journal only`);
+  }
+
+  const bySubject = new Map();
+  for (const h of apiHoldings) {
+    bySubject.set(h.subject.toLowerCase(), { subject: h.subject, apiBalance: h.balance });
+  }
+  for (const e of getJournal()) {
+    const key = e.subject.toLowerCase();
+    if (!bySubject.has(key)) {
+      bySubject.set(key, { subject: ethers.getAddress(e.subject), apiBalance: null });
+    }
+  }
+
+  const positions = [];
+  for (const p of bySubject.values()) {
+    p.chainBalance = await contract.sharesBalance(p.subject, wallet);
+    p.value = 0n;
+    if (p.chainBalance > 0n) {
+      try {
+        p.value = await contract.getSellPriceAfterFee(p.subject, p.chainBalance);
+      } catch (e) {
+        p.value = null;
+        p.valueError = decodeRevert(e);
+      }
+    }
+    p.discrepancy = p.apiBalance === null ? p.chainBalance > 0n : p.apiBalance !== p.chainBalance;
+    if (p.chainBalance > 0n || p.apiBalance) {
+      positions.push(p);
+    }
+  }
+
+  const totalValue = positions.reduce((sum, p) => sum + (p.value ?? 0n), 0n);
+  positions.sort((a, b) => {
+    const diff = (b.value ?? 0n) - (a.value ?? 0n);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  });
+  return { wallet, positions, totalValue };
+}
 
-function parseSubject(subject) {
+function printPortfolio({ wallet, positions, totalValue }) {
+  info(`Wallet: ${wallet}`);
+  if (positions.length === 0) {
+    info('No share positions');
+    return;
+  }
+  positions.forEach((p) => {
+    const share =
+      p.value != null && totalValue > 0n ? Number((p.value * 10000n) / totalValue) / 100 : 0;
+    const value = p.value == null ? `n/a (${p.valueError})` : `${ethers.formatEther(p.value)} BNB`;
+    console.log(`\n${p.subject}`);
+    console.log(`  Shares: ${p.chainBalance.toString()}  Sell value after fee: ${value}  (${share.toFixed(2)}%)`);
+    if (p.discrepancy) {
+      const apiBalance = p.apiBalance === null ? 'missing' : p.apiBalance.toString();
+      warning(`  Mismatch: API ${apiBalance} vs on-chain ${p.chainBalance.toString()}`);
+    }
+  });
+  console.log('');
+  const mismatches = positions.filter((p) => p.discrepancy).length;
+  if (mismatches > 0) {
+    warning(`${mismatches} position(s) differ between API and chain (on-chain balance is authoritative)`);
+  }
+  success(`Total sell value: ${ethers.formatEther(totalValue)} BNB across ${positions.length} position(s)`);
+}
+
+/**
+ * @typedef {Object} BatchOrder
+ * @property {'buy'|'sell'} side
+ * @property {string} subject - Shares subject address
+ * @property {number} amount - Number of shares
+ * @property {string} [maxCost] - BNB, buy only
+ * @property {string} [minProceeds] - BNB, sell only
+ * @property {number} [slippage] - Percent
+ * @property {boolean} [onChain] - Override plan-level mode
+ */
+
+/**
+ * @typedef {Object} BatchPlan
+ * @property {BatchOrder[]} orders - Executed in order
+ * @property {string} [budget] - Total BNB that buys in this plan may spend
+ * @property {number} [slippage] - Default slippage for orders without one
+ * @property {boolean} [onChain] - Default mode (API quote if false)
+ * @property {boolean} [stopOnError] - Stop at the first failed order
+ */
+
+/**
+ * Load and validate a batch plan file
+ * @param {string} file - Path to plan JSON
+ * @returns {BatchPlan}
+ */
+export function loadBatchPlan(file) {
+  let plan;
   try {
-    return ethers.getAddress(subject);
+    plan = JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (e) {
-    throw new Error('Invalid subject: must be EVM address (0x + 40 hex)');
+    throw new Error(`Cannot read plan ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(plan.orders) || plan.orders.length === 0) {
+    throw new Error('Plan must contain a non-empty "orders" array');
   }
+  plan.orders.forEach((o, i) => {
+    if (o.side !== 'buy' && o.side !== 'sell') {
+      throw new Error(`Order ${i + 1}: side must be buy or sell`);
+    }
+    parseSubject(o.subject);
+    parseAmount(String(o.amount));
+  });
+  if (plan.budget != null) parseBnb(plan.budget, 'budget');
+  return plan;
 }
 
-function parseAmount(arg) {
-  const n = parseInt(arg, 10);
-  if (!Number.isInteger(n) || n < 1) {
-    throw new Error('Amount must be an integer >= 1');
+/**
+ * Execute a plan sequentially with one provider/wallet, explicit nonces and a total
+ * BNB budget for buys. Failures are collected, not thrown.
+ * @param {BatchPlan} plan
+ * @param {{dryRun?: boolean, gas?: Object}} [options] - gas: --gas-price/--gas-limit overrides for every order
+ * @returns {Promise<{results: Array<Object>, spent: bigint, received: bigint}>}
+ */
+export async function runBatch(plan, { dryRun = false, gas = {}, wait = {} } = {}) {
+  const contract = await getContractWithSigner();
+  const wallet = contract.runner;
+  if (!dryRun) await assertNoPendingTx(wallet);
+  const budget = plan.budget != null ? parseBnb(plan.budget, 'budget') : null;
+  let nonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+  let spent = 0n;
+  let received = 0n;
+  // Dry-run only: value + max gas of the simulated orders, which the balance must also cover
+  let committed = 0n;
+  const results = [];
+
+  for (const [i, order] of plan.orders.entries()) {
+    const label = `#${i + 1} ${order.side} ${order.amount} x ${order.subject}`;
+    const result = { index: i + 1, ...order, status: 'pending' };
+    results.push(result);
+
+    if (plan.stopOnError && results.some((r) => r.status === 'failed')) {
+      result.status = 'skipped';
+      result.error = 'previous order failed (stopOnError)';
+      continue;
+    }
+
+    try {
+      const limits = parseTradeLimits({
+        'max-cost': order.maxCost,
+        'min-proceeds': order.minProceeds,
+        slippage: order.slippage ?? plan.slippage
+      });
+      const onChain = order.onChain ?? plan.onChain ?? false;
+      info(`${label} (${onChain ? 'on-chain' : 'API quote'})...`);
+
+      const trade = onChain
+        ? await prepareOnChainTrade(order.side, order.subject, order.amount, limits, contract)
+        : await prepareApiTrade(order.side, order.subject, order.amount, limits, contract);
+      const value = trade.txRequest.value ?? 0n;
+      if (budget != null && spent + value > budget) {
+        result.status = 'skipped';
+        result.error = `budget: ${ethers.formatEther(spent + value)} BNB would exceed ${ethers.formatEther(budget)} BNB`;
+        warning(`  Skipped - ${result.error}`);
+        continue;
+      }
+
+      if (dryRun) {
+        const dryTx = { ...trade.txRequest };
+        if (trade.priceGuard) await applyPriceGuard(wallet, dryTx, trade.priceGuard);
+        const { gasCost } = await prepareGas(wallet, dryTx, gas, committed);
+        committed += (dryTx.value ?? 0n) + gasCost;
+        spent += value;
+        result.status = 'simulated';
+        result.bnb = trade.priceAfterFee;
+        success(`  Simulated: ${ethers.formatEther(trade.priceAfterFee)} BNB`);
+        continue;
+      }
+
+      trade.txRequest.nonce = nonce;
+      const sent = await execTransaction(wallet, trade.txRequest, gas, wait, trade.priceGuard);
+      nonce += 1;
+      const ours = sent.trades.find((t) => t.trader.toLowerCase() === wallet.address.toLowerCase());
+      const fees = ours ? ours.protocolEthAmount + ours.subjectEthAmount : 0n;
+      result.hash = sent.hash;
+      result.status = 'ok';
+      if (ours) {
+        result.bnb = ours.isBuy ? ours.ethAmount + fees : ours.ethAmount - fees;
+      } else {
+        result.bnb = order.side === 'buy' ? value : 0n;
+      }
+      if (order.side === 'buy') spent += result.bnb;
+      else received += result.bnb;
+      success(`  Confirmed ${sent.hash} (${ethers.formatEther(result.bnb)} BNB)`);
+    } catch (e) {
+      result.status = 'failed';
+      result.error = formatTradeError(e);
+      error(`  Failed - ${result.error}`);
+      // The tx may or may not have reached the mempool; resync instead of guessing
+      nonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+    }
   }
-  return BigInt(n);
+
+  return { results, spent, received };
 }
 
-function getContractWithSigner() {
-  const rpc = getEnv('EVM_RPC_URL');
-  const address = CLAW_FRIEND_ADDRESS || `0xCe9aA37146Bd75B5312511c410d3F7FeC2E7f364`
-  if (!rpc) {
-    error('EVM_RPC_URL is required for on-chain mode.');
-    process.exit(1);
+function printBatchSummary({ results, spent, received }) {
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Batch Summary:');
+  results.forEach((r) => {
+    const icon = r.status === 'ok' || r.status === 'simulated' ? '✓' : r.status === 'skipped' ? '⏭️ ' : '✗';
+    const detail = r.hash || r.error || (r.bnb != null ? `${ethers.formatEther(r.bnb)} BNB` : '');
+    console.log(`  ${icon} #${r.index} ${r.side} ${r.amount} x ${r.subject} [${r.status}] ${detail}`);
+  });
+  const count = (status) => results.filter((r) => r.status === status).length;
+  console.log(
+    `  Succeeded: ${count('ok') + count('simulated')}  Failed: ${count('failed')}  Skipped: ${count('skipped')}`
+  );
+  console.log(`  Spent: ${ethers.formatEther(spent)} BNB  Received: ${ethers.formatEther(received)} BNB`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Settle triggered orders whose transaction was still unconfirmed when an earlier check
+ * stopped waiting. A speed-up that took the transaction's nonce fills the order in its place.
+ * @param {ethers.Provider} provider
+ * @param {Object[]} orders - Triggered orders with a hash
+ * @returns {Promise<Array<{order: Object, status: string, hash: string, error?: string}>>}
+ */
+async function settlePendingOrders(provider, orders) {
+  const results = [];
+  for (const order of orders) {
+    const label = `${order.id} ${order.side} ${order.amount} x ${order.subject}`;
+    const record = findTrackedTx(order.hash);
+    if (!record) {
+      warning(`${label}: transaction ${order.hash} is not tracked - check it with "tx status ${order.hash}"`);
+      continue;
+    }
+    let current = await refreshTrackedTx(provider, record);
+    while (current.status === 'replaced' && findTrackedTx(current.replacedBy)?.kind === 'speedup') {
+      current = await refreshTrackedTx(provider, findTrackedTx(current.replacedBy));
+    }
+    const result = { order, status: 'pending', hash: current.hash };
+    results.push(result);
+    if (current.status === 'pending') {
+      info(`${label}: ${current.hash} still pending`);
+    } else if (current.status === 'confirmed') {
+      completeOrder(order.id, { hash: current.hash });
+      result.status = 'filled';
+      success(`${label}: filled ${current.hash}`);
+    } else {
+      result.status = 'failed';
+      result.error = `transaction ${current.hash} ${current.status}`;
+      completeOrder(order.id, { error: result.error });
+      error(`${label}: failed - ${result.error}`);
+    }
   }
-  if (!address) {
-    error('CLAW_FRIEND_ADDRESS is required for on-chain mode.');
-    process.exit(1);
+  return results;
+}
+
+/**
+ * Evaluate open orders against on-chain quotes and execute the triggered ones
+ * through the normal buy/sell paths. Each order is claimed before sending; one whose
+ * transaction outlasts the wait stays triggered with its hash and is settled by the next check.
+ * @param {{dryRun?: boolean, gas?: Object}} [options] - dryRun: report triggers without claiming or trading
+ * @returns {Promise<Array<{order: Object, priceAfterFee?: bigint, status: string, hash?: string, error?: string}>>}
+ */
+export async function checkOrders({ dryRun = false, gas = {}, wait = {} } = {}) {
+  const orders = getOrders();
+  const open = orders.filter((o) => o.status === 'open');
+  const unsettled = dryRun ? [] : orders.filter((o) => o.status === 'triggered' && o.hash);
+  if (open.length === 0 && unsettled.length === 0) return [];
+  const contract = await getContractWithSigner();
+  const results = await settlePendingOrders(contract.runner.provider, unsettled);
+  // A trade still in the mempool from an earlier run must settle before triggering new ones
+  if (!dryRun && open.length > 0) await assertNoPendingTx(contract.runner);
+
+  for (const order of open) {
+    const label = `${order.id} ${order.side} ${order.amount} x ${order.subject}`;
+    const result = { order, status: 'waiting' };
+    results.push(result);
+    try {
+      let amount = order.amount === 'all' ? null : BigInt(order.amount);
+      if (order.side === 'sell') {
+        // Sized by what can be sold, so 'all' never includes a last share the contract keeps
+        const { balance, sellable } = await getSellableShares(order.subject, contract);
+        if (amount == null) amount = sellable;
+        if (sellable === 0n || sellable < amount) {
+          result.status = 'skipped';
+          result.error = `holding ${balance.toString()} share(s), ${sellable.toString()} sellable`;
+          warning(`${label}: skipped - ${result.error}`);
+          continue;
+        }
+      }
+
+      const { priceAfterFee } = await getQuoteOnChain(order.side, order.subject, amount, contract);
+      result.priceAfterFee = priceAfterFee;
+      const perShare = priceAfterFee / amount;
+      const detail =
+        `${ethers.formatEther(perShare)} BNB/share for ${amount.toString()} share(s) ` +
+        `vs trigger < ${ethers.formatEther(order.below)} BNB/share`;
+      if (!isTriggered(order, priceAfterFee, amount)) {
+        info(`${label}: waiting (${detail})`);
+        continue;
+      }
+      if (dryRun) {
+        result.status = 'would-trigger';
+        success(`${label}: would trigger (${detail})`);
+        continue;
+      }
+      if (!claimOrder(order.id, perShare)) {
+        result.status = 'skipped';
+        result.error = 'already claimed';
+        continue;
+      }
+
+      info(`${label}: triggered (${detail}), executing...`);
+      // A limit buy never pays more than its trigger price
+      const limits = order.side === 'buy' ? { maxCost: BigInt(order.below) * amount } : {};
+      try {
+        const execute =
+          order.side === 'buy'
+            ? order.onChain ? buySharesOnChain : buySharesViaApi
+            : order.onChain ? sellSharesOnChain : sellSharesViaApi;
+        const sent = await execute(order.subject, amount, limits, gas, wait);
+        completeOrder(order.id, { hash: sent.hash });
+        result.status = 'filled';
+        result.hash = sent.hash;
+        success(`${label}: filled ${sent.hash}`);
+      } catch (e) {
+        if (e instanceof TransactionError && e.code === 'TX_TIMEOUT') {
+          // Sent but not confirmed yet: the next check settles it from the chain
+          setOrderPending(order.id, e.hash);
+          result.status = 'pending';
+          result.hash = e.hash;
+          warning(`${label}: ${e.message}`);
+          continue;
+        }
+        result.status = 'failed';
+        result.error = formatTradeError(e);
+        completeOrder(order.id, { error: result.error });
+        error(`${label}: failed - ${result.error}`);
+      }
+    } catch (e) {
+      // Quote/balance read failed: the order stays open for the next check
+      result.status = 'error';
+      result.error = decodeRevert(e);
+      warning(`${label}: could not evaluate - ${result.error}`);
+    }
   }
-  const provider = new ethers.JsonRpcProvider(rpc);
-  const wallet = getWallet().connect(provider);
-  return new ethers.Contract(address, CLAW_FRIEND_ABI, wallet);
+  return results;
 }
 
-export async function getQuoteOnChain(side, subject, amount) {
-  const contract = getContractWithSigner();
-  const sub = parseSubject(subject);
-  const amt = parseAmount(String(amount));
-  const supply = await contract.sharesSupply(sub);
-  const priceAfterFee =
-    side === 'buy'
-      ? await contract.getBuyPriceAfterFee(sub, amt)
-      : await contract.getSellPriceAfterFee(sub, amt);
-  return { supply, priceAfterFee, side, subject: sub, amount: amt };
+async function runOrdersCommand(sub, args, flags, gas, wait) {
+  if (sub === 'add') {
+    const [sideArg, subjectArg, amountArg] = args;
+    if (!sideArg || !subjectArg || !amountArg || flags.below == null) {
+      error('Usage: node buy-sell-shares.js orders add <buy|sell> <subject> <amount|all> --below <bnb> [--on-chain]');
+      process.exit(1);
+    }
+    const order = addOrder({
+      side: sideArg.toLowerCase(),
+      subject: parseSubject(subjectArg),
+      amount: amountArg,
+      below: parseBnb(flags.below, '--below'),
+      onChain: flags['on-chain'] === true
+    });
+    success(`Order ${order.id} added: ${order.side} ${order.amount} x ${order.subject} when price after fee < ${ethers.formatEther(order.below)} BNB/share`);
+    return;
+  }
+
+  if (sub === 'list') {
+    const orders = getOrders().filter((o) => flags.all || o.status === 'open');
+    if (orders.length === 0) {
+      info(flags.all ? 'No orders' : 'No open orders');
+      return;
+    }
+    orders.forEach((o) => {
+      const outcome = o.hash || o.error || '';
+      console.log(
+        `${o.id}  ${o.status.padEnd(9)}  ${o.side.toUpperCase().padEnd(4)}  ${o.amount.padStart(4)} x ${o.subject}  < ${ethers.formatEther(o.below)} BNB/share  ${outcome}`
+      );
+    });
+    return;
+  }
+
+  if (sub === 'cancel') {
+    if (!args[0]) {
+      error('Usage: node buy-sell-shares.js orders cancel <id>');
+      process.exit(1);
+    }
+    cancelOrder(args[0]);
+    success(`Order ${args[0]} cancelled`);
+    return;
+  }
+
+  if (sub === 'check') {
+    const results = await checkOrders({ dryRun: flags['dry-run'] === true, gas, wait });
+    if (results.length === 0) {
+      info('No open orders');
+      return;
+    }
+    if (results.some((r) => r.status === 'failed')) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  error('Usage: node buy-sell-shares.js orders <add|list [--all]|cancel <id>|check [--dry-run]>');
+  process.exit(1);
 }
 
-export async function buySharesOnChain(subject, amount) {
-  const contract = getContractWithSigner();
-  const sub = parseSubject(subject);
-  const amt = parseAmount(String(amount));
-  const cost = await contract.getBuyPriceAfterFee(sub, amt);
-  const tx = await contract.buyShares(sub, amt, { value: cost });
-  await tx.wait();
-  return tx;
+/**
+ * Run every due DCA plan once: size the buy from shares/bnb per run, the remaining
+ * budget and the distance to the target position, then buy through the normal path.
+ * lastRunAt is saved before sending so a crashed run is not repeated in the same interval.
+ * @param {{dryRun?: boolean, gas?: Object, now?: number}} [options]
+ * @returns {Promise<Array<{subject: string, status: string, amount?: bigint, bnb?: bigint, hash?: string, error?: string}>>}
+ */
+export async function runDca({ dryRun = false, gas = {}, wait = {}, now = Date.now() } = {}) {
+  const due = getDcaPlans().filter((p) => isDcaDue(p, now));
+  if (due.length === 0) return [];
+  const contract = await getContractWithSigner();
+  if (!dryRun) await assertNoPendingTx(contract.runner);
+  const wallet = contract.runner.address;
+  const results = [];
+
+  for (const plan of due) {
+    const result = { subject: plan.subject, status: 'skipped' };
+    results.push(result);
+    const finish = (patch) => {
+      if (!dryRun) updateDcaPlan(plan.subject, { lastRunAt: new Date(now).toISOString(), ...patch });
+    };
+    try {
+      const [balance, supply] = await Promise.all([
+        contract.sharesBalance(plan.subject, wallet),
+        contract.sharesSupply(plan.subject)
+      ]);
+      const target = BigInt(plan.target);
+      if (balance >= target) {
+        result.status = 'completed';
+        finish({ status: 'completed', lastResult: `target ${target} reached` });
+        success(`${plan.subject}: target of ${target} share(s) reached (holding ${balance})`);
+        continue;
+      }
+
+      const cap = getDcaRunCap(plan);
+      let amount = target - balance;
+      if (plan.shares != null && BigInt(plan.shares) < amount) amount = BigInt(plan.shares);
+      let fees = null;
+      if (cap != null) {
+        fees = pricing.getCachedFeePercents() ?? (await pricing.loadFeePercents(contract));
+        amount = pricing.getMaxBuyAmount(supply, cap, fees, amount);
+      }
+      if (amount === 0n && isDcaBudgetExhausted(plan, pricing.getBuyPriceAfterFee(supply, 1n, fees))) {
+        result.status = 'completed';
+        finish({ status: 'completed', lastResult: 'budget reached' });
+        success(`${plan.subject}: budget reached (${ethers.formatEther(BigInt(plan.spent))} of ${ethers.formatEther(BigInt(plan.budget))} BNB spent)`);
+        continue;
+      }
+      if (amount === 0n) {
+        result.error = `${ethers.formatEther(cap)} BNB does not cover 1 share`;
+        finish({ lastResult: `skipped: ${result.error}` });
+        warning(`${plan.subject}: skipped - ${result.error}`);
+        continue;
+      }
+
+      result.amount = amount;
+      const limits = cap != null ? { maxCost: cap } : {};
+      if (dryRun) {
+        const sim = await simulateTrade('buy', plan.subject, amount, { onChain: plan.onChain, limits, gas, contract });
+        result.status = 'simulated';
+        result.bnb = sim.priceAfterFee;
+        success(`${plan.subject}: would buy ${amount} share(s) for ${ethers.formatEther(sim.priceAfterFee)} BNB`);
+        continue;
+      }
+
+      finish({ lastResult: `buying ${amount}` });
+      info(`${plan.subject}: buying ${amount} share(s) (holding ${balance}, target ${target})...`);
+      const sent = plan.onChain
+        ? await buySharesOnChain(plan.subject, amount, limits, gas, wait)
+        : await buySharesViaApi(plan.subject, amount, limits, gas, wait);
+      const ours = sent.trades.find((t) => t.trader.toLowerCase() === wallet.toLowerCase());
+      const paid = ours
+        ? ours.ethAmount + ours.protocolEthAmount + ours.subjectEthAmount
+        : sent.tx.value;
+      const bought = BigInt(plan.bought) + amount;
+      const completed = balance + amount >= target;
+      updateDcaPlan(plan.subject, {
+        spent: (BigInt(plan.spent) + paid).toString(),
+        bought: bought.toString(),
+        runs: plan.runs + 1,
+        status: completed ? 'completed' : 'active',
+        lastResult: `bought ${amount} (${sent.hash})`
+      });
+      result.status = 'ok';
+      result.bnb = paid;
+      result.hash = sent.hash;
+      success(`${plan.subject}: bought ${amount} share(s) for ${ethers.formatEther(paid)} BNB (${sent.hash})`);
+      if (completed) success(`${plan.subject}: target of ${target} share(s) reached`);
+    } catch (e) {
+      result.status = 'failed';
+      result.error = formatTradeError(e);
+      finish({ lastResult: `failed: ${result.error}` });
+      error(`${plan.subject}: failed - ${result.error}`);
+    }
+  }
+  return results;
 }
 
-export async function sellSharesOnChain(subject, amount) {
-  const contract = getContractWithSigner();
-  const sub = parseSubject(subject);
-  const amt = parseAmount(String(amount));
-  const tx = await contract.sellShares(sub, amt);
-  await tx.wait();
-  return tx;
+async function runDcaCommand(sub, args, flags, gas, wait) {
+  const bnb = (wei) => `${ethers.formatEther(wei)} BNB`;
+
+  if (sub === 'set') {
+    if (!args[0] || flags.target == null || (flags.shares == null) === (flags.bnb == null)) {
+      error('Usage: node buy-sell-shares.js dca set <subject> (--shares <n> | --bnb <bnb>) --target <n> [--budget <bnb>] [--interval <hours>] [--on-chain]');
+      process.exit(1);
+    }
+    const plan = setDcaPlan({
+      subject: parseSubject(args[0]),
+      shares: flags.shares != null ? parseAmount(flags.shares) : undefined,
+      bnb: flags.bnb != null ? parseBnb(flags.bnb, '--bnb') : undefined,
+      target: parseAmount(flags.target),
+      budget: flags.budget != null ? parseBnb(flags.budget, '--budget') : undefined,
+      intervalHours: flags.interval != null ? Number(flags.interval) : undefined,
+      onChain: flags['on-chain'] === true
+    });
+    const perRun = plan.shares != null ? `${plan.shares} share(s)` : `up to ${bnb(plan.bnb)}`;
+    success(`DCA plan set: ${plan.subject} - ${perRun} every ${plan.intervalHours}h until ${plan.target} share(s)`);
+    info('Runs when the clawfriend-dca cronjob is deployed: node scripts/cronjob-manager.js deploy clawfriend-dca');
+    return;
+  }
+
+  if (sub === 'list') {
+    const plans = getDcaPlans();
+    if (plans.length === 0) {
+      info('No DCA plans');
+      return;
+    }
+    plans.forEach((p) => {
+      const perRun = p.shares != null ? `${p.shares} share(s)` : `up to ${bnb(p.bnb)}`;
+      console.log(`\n${p.subject} [${p.status}]`);
+      console.log(`  Per run: ${perRun} every ${p.intervalHours}h  Target: ${p.target} share(s)`);
+      console.log(`  Bought: ${p.bought} share(s) in ${p.runs} run(s)  Spent: ${bnb(p.spent)}${p.budget != null ? ` of ${bnb(p.budget)}` : ''}`);
+      if (p.lastRunAt) console.log(`  Last run: ${p.lastRunAt} - ${p.lastResult}`);
+    });
+    return;
+  }
+
+  if (sub === 'remove') {
+    if (!args[0]) {
+      error('Usage: node buy-sell-shares.js dca remove <subject>');
+      process.exit(1);
+    }
+    const subject = parseSubject(args[0]);
+    if (!removeDcaPlan(subject)) {
+      warning(`No DCA plan for ${subject}`);
+      return;
+    }
+    success(`DCA plan for ${subject} removed`);
+    return;
+  }
+
+  if (sub === 'run') {
+    const results = await runDca({ dryRun: flags['dry-run'] === true, gas, wait });
+    if (results.length === 0) {
+      info('No DCA plan is due');
+      return;
+    }
+    if (results.some((r) => r.status === 'failed')) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  error('Usage: node buy-sell-shares.js dca <set|list|remove <subject>|run [--dry-run]>');
+  process.exit(1);
 }
 
-async function execTransaction(txPayload) {
-  const rpc = getEnv('EVM_RPC_URL');
-  if (!rpc) {
-    error('EVM_RPC_URL is required.');
-    process.exit(1);
+/**
+ * Replace a pending transaction by re-using its nonce with a higher gas price: the same
+ * call again (speedup) or a 0-value transfer to ourselves (cancel). The gas price is
+ * --gas-price if it beats the old one by REPLACEMENT_BUMP_BPS, else the larger of that
+ * minimum and the current network price.
+ * @param {string} hash - Pending transaction sent by this wallet
+ * @param {'speedup'|'cancel'} kind
+ * @param {{gasPrice?: bigint}} [gas]
+ * @returns {Promise<{hash: string, tx: ethers.TransactionResponse, receipt: ethers.TransactionReceipt, trades: Array<Object>, replaced: import('./tx-tracker.js').TrackedTx}>}
+ */
+export async function replaceTransaction(hash, kind, gas = {}, wait = {}) {
+  const wallet = await getSigner();
+  const provider = wallet.provider;
+  let record = findTrackedTx(hash);
+  if (!record) {
+    // Sent before tracking existed or by another tool: start tracking it from the node's copy
+    const sent = await provider.getTransaction(hash);
+    if (!sent) throw new Error(`Transaction ${hash} is not tracked and unknown to the RPC`);
+    record = trackTx(sent, { label: describeTx(sent) });
   }
-  const provider = new ethers.JsonRpcProvider(rpc);
-  const wallet = getWallet().connect(provider);
-  const value =
-    txPayload.value !== undefined && txPayload.value !== null
-      ? typeof txPayload.value === 'string' && txPayload.value.startsWith('0x')
-        ? BigInt(txPayload.value)
-        : BigInt(txPayload.value)
-      : 0n;
-  const txRequest = {
-    to: ethers.getAddress(txPayload.to),
-    data: txPayload.data || '0x',
-    value
-  };
-  if (txPayload.gasLimit != null && txPayload.gasLimit !== '') {
-    txRequest.gasLimit = BigInt(txPayload.gasLimit);
+  if (record.from.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw new Error(`Transaction ${hash} was sent by ${record.from}, not by this wallet (${wallet.address})`);
+  }
+  record = await refreshTrackedTx(provider, record);
+  if (record.status !== 'pending') {
+    throw new Error(`Transaction ${hash} is ${record.status} - nothing to replace`);
+  }
+
+  const oldPrice = BigInt(record.gasPrice);
+  const minPrice = (oldPrice * (10000n + REPLACEMENT_BUMP_BPS)) / 10000n;
+  let gasPrice = gas.gasPrice;
+  if (gasPrice != null && gasPrice < minPrice) {
+    throw new Error(`--gas-price must be at least ${ethers.formatUnits(minPrice, 'gwei')} gwei to replace ${hash}`);
   }
+  if (gasPrice == null) {
+    const feeData = await provider.getFeeData();
+    const current = feeData.gasPrice ?? 0n;
+    gasPrice = current > minPrice ? current : minPrice;
+  }
+
+  // A speedup keeps what the chain started as; speeding up a cancel is another cancel
+  const baseKind = record.baseKind ?? record.kind;
+  const cancel = kind === 'cancel' || record.kind === 'cancel';
+  const txRequest = cancel
+    ? { to: wallet.address, data: '0x', value: 0n, gasLimit: 21000n }
+    : { to: record.to, data: record.data, value: BigInt(record.value), gasLimit: BigInt(record.gasLimit) };
+  txRequest.nonce = record.nonce;
+  // A plain BNB transfer (or a cancel) has no ClawFriend target to verify
+  if (cancel || baseKind === 'transfer') {
+    await verifyChainId(provider);
+  } else {
+    await verifyWriteTarget(provider, txRequest);
+  }
+  await prepareGas(wallet, txRequest, { gasPrice, gasLimit: txRequest.gasLimit });
   const tx = await wallet.sendTransaction(txRequest);
-  await tx.wait();
-  return tx;
+  trackTx(tx, {
+    kind: cancel ? 'cancel' : 'speedup',
+    baseKind,
+    label: cancel ? `cancel nonce ${record.nonce}` : record.label,
+    replaces: record.hash
+  });
+  info(`Sent ${tx.hash} (nonce ${tx.nonce}, ${ethers.formatUnits(gasPrice, 'gwei')} gwei), waiting for receipt...`);
+
+  const result = await waitForTransaction(wallet, tx, wait);
+  if (result.hash !== record.hash) {
+    updateTrackedTx(record.hash, { status: 'replaced', replacedBy: result.hash });
+  }
+  return { ...result, replaced: record };
 }
 
-export async function getQuoteFromApi(side, subject, amount) {
-  const baseUrl = getEnv('API_DOMAIN', 'https://api.clawfriend.ai');
-  const walletAddress = getEnv('EVM_ADDRESS');
-  if (!walletAddress) {
-    error('EVM_ADDRESS is required for API quote (wallet_address in query).');
+function printTrackedTx(record) {
+  const gwei = (wei) => `${ethers.formatUnits(wei, 'gwei')} gwei`;
+  info(`Tx ${record.hash}: ${record.status.toUpperCase()}`);
+  info(`  ${record.label}`);
+  info(`  From: ${record.from} (nonce ${record.nonce})`);
+  info(`  Gas: ${record.gasLimit} @ ${gwei(record.gasPrice)}`);
+  if (record.sentAt) info(`  Sent: ${record.sentAt}`);
+  if (record.blockNumber != null) info(`  Block: ${record.blockNumber}`);
+  if (record.replaces) info(`  Replaces: ${record.replaces}`);
+  if (record.replacedBy) info(`  Replaced by: ${record.replacedBy}`);
+  const { explorerUrl } = getNetwork();
+  if (explorerUrl) info(`  Explorer: ${explorerUrl}/tx/${record.hash}`);
+}
+
+async function runTxCommand(sub, args, flags, gas, wait) {
+  if (sub === 'list') {
+    let records = getTrackedTxs();
+    if (!flags.all) {
+      const provider = await getProvider();
+      const pending = records.filter((t) => t.status === 'pending').reverse();
+      records = [];
+      for (const record of pending) {
+        const current = await refreshTrackedTx(provider, record);
+        if (current.status === 'pending') records.unshift(current);
+      }
+    }
+    if (records.length === 0) {
+      info(flags.all ? 'No tracked transactions' : 'No pending transactions');
+      return;
+    }
+    records.forEach((t) => {
+      console.log(
+        `${t.hash}  ${t.status.padEnd(9)}  nonce ${String(t.nonce).padEnd(5)}  ${ethers.formatUnits(t.gasPrice, 'gwei')} gwei  ${t.label}`
+      );
+    });
+    return;
+  }
+
+  const hash = args[0];
+  if (['status', 'speedup', 'cancel'].includes(sub) && !/^0x[0-9a-fA-F]{64}$/.test(hash || '')) {
+    error(`Usage: node buy-sell-shares.js tx ${sub} <hash>${sub === 'status' ? '' : ' [--gas-price <gwei>]'}`);
     process.exit(1);
   }
-  const params = new URLSearchParams({
-    side,
-    shares_subject: parseSubject(subject),
-    amount: String(amount),
-    wallet_address: walletAddress
-  });
-  const quote = await apiRequest(`/v1/share/quote?${params.toString()}`);
-  return quote;
+
+  if (sub === 'status') {
+    const provider = await getProvider();
+    let record = findTrackedTx(hash);
+    if (record) {
+      record = await refreshTrackedTx(provider, record);
+    } else {
+      const sent = await provider.getTransaction(hash);
+      if (!sent) throw new Error(`Transaction ${hash} is not tracked and unknown to the RPC`);
+      const receipt = await provider.getTransactionReceipt(hash);
+      record = {
+        hash,
+        from: sent.from,
+        nonce: sent.nonce,
+        label: describeTx(sent),
+        gasLimit: sent.gasLimit.toString(),
+        gasPrice: (sent.gasPrice ?? 0n).toString(),
+        status: receipt ? (receipt.status === 1 ? 'confirmed' : 'reverted') : 'pending',
+        blockNumber: receipt?.blockNumber
+      };
+    }
+    printTrackedTx(record);
+    return;
+  }
+
+  if (sub === 'speedup' || sub === 'cancel') {
+    info(`${sub === 'cancel' ? 'Cancelling' : 'Speeding up'} ${hash}...`);
+    const result = await replaceTransaction(hash, sub, gas, wait);
+    if (result.hash === hash) {
+      warning('The original transaction was mined before its replacement');
+    }
+    if (sub === 'cancel' && result.hash !== hash) {
+      success(`Cancelled: nonce ${result.replaced.nonce} used by ${result.hash}`);
+      return;
+    }
+    if ((result.replaced.baseKind ?? result.replaced.kind) === 'transfer') {
+      success(`Tx confirmed: ${result.hash} (${result.replaced.label})`);
+      return;
+    }
+    reportTradeResult(result);
+    return;
+  }
+
+  error('Usage: node buy-sell-shares.js tx <status <hash>|speedup <hash>|cancel <hash>|list [--all]>');
+  process.exit(1);
 }
 
-export async function buySharesViaApi(subject, amount) {
-  const quote = await getQuoteFromApi('buy', subject, amount);
-  if (!quote.transaction) {
-    error('API did not return a transaction. Check wallet_address and response.');
-    process.exit(1);
+function parseIntFlag(value, name, fallback) {
+  if (value == null) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
   }
-  return execTransaction(quote.transaction);
+  return BigInt(n);
 }
 
-export async function sellSharesViaApi(subject, amount) {
-  const quote = await getQuoteFromApi('sell', subject, amount);
-  if (!quote.transaction) {
-    error('API did not return a transaction. Check wallet_address and response.');
-    process.exit(1);
+/**
+ * Fee percents for offline pricing: read on-chain (and cached), or the cached copy when offline
+ */
+async function getCurveFees(offline) {
+  if (!offline) {
+    try {
+      return await pricing.loadFeePercents(await getContractWithSigner());
+    } catch (e) {
+      warning(`Could not read fee percents on-chain (${e.shortMessage || e.message}), using cache`);
+    }
+  }
+  const cached = pricing.getCachedFeePercents();
+  if (!cached) {
+    throw new Error('No cached fee percents. Run once online: node buy-sell-shares.js curve');
+  }
+  return cached;
+}
+
+/**
+ * Table buy cost / sell proceeds for several amounts across a supply range using the local
+ * curve. With --subject, the range starts at its on-chain supply and row 1 is checked
+ * against getBuyPriceAfterFee on the contract.
+ */
+async function runCurveCommand(flags) {
+  const fees = await getCurveFees(flags.offline === true);
+  const amounts = String(flags.amounts || '1,5,10')
+    .split(',')
+    .map((a) => parseAmount(a.trim()));
+  let from = parseIntFlag(flags.from, 'from', 1n);
+  if (flags.subject) {
+    const contract = await getContractWithSigner();
+    const subject = parseSubject(flags.subject);
+    from = await contract.sharesSupply(subject);
+    const onChain = await contract.getBuyPriceAfterFee(subject, amounts[0]);
+    const local = pricing.getBuyPriceAfterFee(from, amounts[0], fees);
+    if (onChain === local) {
+      success(`Local curve matches on-chain for ${subject} (supply ${from.toString()})`);
+    } else {
+      warning(`Local ${local.toString()} wei != on-chain ${onChain.toString()} wei for ${subject}`);
+    }
   }
-  return execTransaction(quote.transaction);
+  const to = parseIntFlag(flags.to, 'to', from + 50n);
+  const step = parseIntFlag(flags.step, 'step', 5n) || 1n;
+
+  const pct = (p) => `${(Number(p) / 1e16).toFixed(2)}%`;
+  info(`Fees: protocol ${pct(fees.protocolFeePercent)}, subject ${pct(fees.subjectFeePercent)}`);
+  const col = (text) => String(text).padStart(22);
+  console.log(
+    'supply'.padStart(8) +
+      amounts.map((a) => col(`buy ${a} (BNB)`)).join('') +
+      amounts.map((a) => col(`sell ${a} (BNB)`)).join('')
+  );
+  for (let supply = from; supply <= to; supply += step) {
+    const buys = amounts.map((a) => col(ethers.formatEther(pricing.getBuyPriceAfterFee(supply, a, fees))));
+    const sells = amounts.map((a) =>
+      col(a < supply ? ethers.formatEther(pricing.getSellPriceAfterFee(supply, a, fees)) : '-')
+    );
+    console.log(supply.toString().padStart(8) + buys.join('') + sells.join(''));
+  }
+}
+
+function runPolicyCommand(sub) {
+  if (sub === 'kill') {
+    engageKillSwitch();
+    warning('Kill switch engaged: all buy/sell commands will refuse to trade.');
+    info('To resume, a human must set tradingPolicy.killSwitch to false in ~/.openclaw/openclaw.json');
+    return;
+  }
+  if (sub === 'show' || !sub) {
+    const policy = getTradingPolicy();
+    if (Object.keys(policy).length === 0) {
+      warning('No trading policy configured - trades are only limited by per-command flags');
+      return;
+    }
+    console.log(JSON.stringify(policy, null, 2));
+    const usage = getPolicyUsage();
+    info(`Trades in last hour: ${usage.tradesLastHour}`);
+    info(`Spent in last 24h: ${ethers.formatEther(usage.spent24h)} BNB`);
+    info(`Spent in last 7d: ${ethers.formatEther(usage.spent7d)} BNB`);
+    return;
+  }
+  error('Usage: node buy-sell-shares.js policy <show|kill>');
+  process.exit(1);
+}
+
+async function runJournalCommand(sub, args, flags) {
+  const bnb = (wei) => (wei == null ? 'n/a' : `${ethers.formatEther(wei)} BNB`);
+
+  if (sub === 'list') {
+    const subject = args[0] ? parseSubject(args[0]).toLowerCase() : null;
+    const entries = getJournal().filter((e) => !subject || e.subject.toLowerCase() === subject);
+    if (entries.length === 0) {
+      info('Journal is empty');
+      return;
+    }
+    entries.forEach((e) => {
+      console.log(
+        `${e.timestamp}  ${e.side.toUpperCase().padEnd(4)}  ${e.amount.padStart(4)} x ${e.subject}  ${bnb(e.bnb)}  ${e.hash}`
+      );
+    });
+    info(`${entries.length} trade(s)`);
+    return;
+  }
+
+  if (sub === 'pnl') {
+    const positions = await getJournalPnl();
+    if (positions.length === 0) {
+      info('Journal is empty');
+      return;
+    }
+    let realized = 0n;
+    let unrealized = 0n;
+    positions.forEach((p) => {
+      console.log(`\n${p.subject}`);
+      console.log(`  Trades: ${p.trades}  Position: ${p.shares.toString()} share(s)`);
+      console.log(`  Bought: ${bnb(p.bought)}  Sold: ${bnb(p.sold)}  Fees: ${bnb(p.fees)}`);
+      console.log(`  Cost basis: ${bnb(p.costBasis)}  Value: ${bnb(p.value)}`);
+      console.log(`  Realized P&L: ${bnb(p.realized)}  Unrealized P&L: ${bnb(p.unrealized)}`);
+      realized += p.realized;
+      unrealized += p.unrealized ?? 0n;
+    });
+    console.log('');
+    success(`Total realized: ${bnb(realized)}, unrealized: ${bnb(unrealized)}, net: ${bnb(realized + unrealized)}`);
+    return;
+  }
+
+  if (sub === 'export') {
+    const entries = getJournal();
+    if (flags.csv) {
+      console.log(journalToCsv(entries));
+    } else {
+      console.log(JSON.stringify(entries, null, 2));
+    }
+    return;
+  }
+
+  error('Usage: node buy-sell-shares.js journal <list [subject]|pnl|export [--csv]>');
+  process.exit(1);
 }
 
 function usage() {
   console.log('ClawFriend Buy/Sell Shares\n');
   console.log('Usage:');
-  console.log('  node buy-sell-shares.js buy <subject> <amount> [--on-chain]');
-  console.log('  node buy-sell-shares.js sell <subject> <amount> [--on-chain]');
+  console.log('  node buy-sell-shares.js buy <subject> <amount> [--on-chain] [--dry-run] [--max-cost <bnb>] [--slippage <pct>]');
+  console.log('  node buy-sell-shares.js sell <subject> <amount> [--on-chain] [--dry-run] [--min-proceeds <bnb>] [--slippage <pct>]');
   console.log('  node buy-sell-shares.js quote <side> <subject> <amount> [--on-chain]');
+  console.log('  node buy-sell-shares.js batch <plan.json> [--dry-run] - Execute a plan of orders sequentially');
+  console.log('  node buy-sell-shares.js curve [--amounts 1,5,10] [--from S] [--to S] [--step K] [--subject <addr>] [--offline]');
+  console.log('                                                   - Offline bonding-curve price table');
+  console.log('  node buy-sell-shares.js portfolio                - Holdings (API vs on-chain) with sell value');
+  console.log('  node buy-sell-shares.js analyze <subject> [--days <n>] [--json]');
+  console.log('                                                   - Holder concentration, self-holding, net flows and TWAP');
+  console.log('  node buy-sell-shares.js policy <show|kill>       - Show trading policy / engage kill switch');
+  console.log('  node buy-sell-shares.js orders add <buy|sell> <subject> <amount|all> --below <bnb> [--on-chain]');
+  console.log('                                                   - Limit buy / stop-loss sell on price after fee per share');
+  console.log('  node buy-sell-shares.js orders list [--all]      - Open (or all) orders');
+  console.log('  node buy-sell-shares.js orders cancel <id>       - Cancel an open order');
+  console.log('  node buy-sell-shares.js orders check [--dry-run] - Execute triggered orders (run from cron)');
+  console.log('  node buy-sell-shares.js dca set <subject> (--shares <n> | --bnb <bnb>) --target <n> [--budget <bnb>] [--interval <hours>] [--on-chain]');
+  console.log('                                                   - Dollar-cost-average into a subject');
+  console.log('  node buy-sell-shares.js dca list|remove <subject> - Show / delete DCA plans');
+  console.log('  node buy-sell-shares.js dca run [--dry-run]      - Buy for every due plan (run by the clawfriend-dca cronjob)');
+  console.log('  node buy-sell-shares.js tx list [--all]          - Pending (or all) tracked transactions');
+  console.log('  node buy-sell-shares.js tx status <hash>         - Pending, confirmed, reverted, replaced or dropped');
+  console.log('  node buy-sell-shares.js tx speedup <hash> [--gas-price <gwei>]');
+  console.log('                                                   - Re-send a stuck tx with the same nonce and a higher gas price');
+  console.log('  node buy-sell-shares.js tx cancel <hash> [--gas-price <gwei>]');
+  console.log('                                                   - Replace a stuck tx with a 0 BNB transfer to yourself');
+  console.log('  node buy-sell-shares.js journal list [subject]   - Executed trades from the local journal');
+  console.log('  node buy-sell-shares.js journal pnl              - Realized/unrealized P&L per subject');
+  console.log('  node buy-sell-shares.js journal export [--csv]   - Export journal as JSON or CSV');
   console.log('\n  subject = EVM address of shares subject (agent)');
   console.log('  amount  = number of shares (integer >= 1)');
   console.log('  --on-chain = use contract directly; otherwise use API quote');
+  console.log('  --dry-run  = build and simulate the tx (eth_call + estimateGas) without broadcasting');
+  console.log('  --max-cost <bnb>     = abort buy if price after fee exceeds this');
+  console.log('  --min-proceeds <bnb> = abort sell if proceeds after fee fall below this');
+  console.log('  --slippage <pct>     = re-quote on-chain before sending; abort if price moved more than pct');
+  console.log('  --gas-price <gwei>   = override gas price (buy, sell, batch, tx speedup/cancel)');
+  console.log('  --gas-limit <n>      = override gas limit (buy, sell, batch)');
+  console.log('  --confirmations <n>  = blocks to wait for after a trade is mined (default 1)');
+  console.log('  --timeout <sec>      = give up waiting after this long, leaving the tx tracked as pending (default 180, 0 = no limit)');
+  console.log('  --network <name>     = network profile (mainnet, testnet, local or from config); default CLAWFRIEND_NETWORK or mainnet');
 }
 
-async function main() {
-  const argv = process.argv.slice(2);
-  const command = argv[0];
-  const useOnChain = argv.includes('--on-chain');
-  const args = argv.filter((a) => a !== '--on-chain');
+const VALUE_FLAGS = [
+  'max-cost', 'min-proceeds', 'slippage', 'gas-price', 'gas-limit',
+  'amounts', 'from', 'to', 'step', 'subject',
+  'below', 'shares', 'bnb', 'target', 'budget', 'interval', 'network',
+  'confirmations', 'timeout', 'days'
+];
 
+async function main() {
   try {
+    const { positional: args, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+    if (flags.network) setNetwork(flags.network);
+    const command = args[0];
+    const useOnChain = flags['on-chain'] === true;
+    const limits = parseTradeLimits(flags);
+    const gas = parseGasOptions(flags);
+    const wait = parseWaitOptions(flags);
+
     if (command === 'buy') {
       const [subjectArg, amountArg] = args.slice(1, 3);
       if (!subjectArg || !amountArg) {
-        error('Usage: node buy-sell-shares.js buy <subject> <amount> [--on-chain]');
+        error('Usage: node buy-sell-shares.js buy <subject> <amount> [--on-chain] [--dry-run] [--max-cost <bnb>] [--slippage <pct>]');
         process.exit(1);
       }
       parseSubject(subjectArg);
       parseAmount(amountArg);
+      if (flags['dry-run']) {
+        info(`Simulating buy (${useOnChain ? 'on-chain' : 'API quote'})...`);
+        const sim = await simulateTrade('buy', subjectArg, amountArg, { onChain: useOnChain, limits, gas });
+        printSimulation(sim);
+        success('Dry run OK - transaction was not broadcast');
+        return;
+      }
       if (useOnChain) {
         info('Buying shares on-chain...');
-        const tx = await buySharesOnChain(subjectArg, amountArg);
-        success(`Tx confirmed: ${tx.hash}`);
+        const result = await buySharesOnChain(subjectArg, amountArg, limits, gas, wait);
+        reportTradeResult(result);
       } else {
         info('Getting quote from API and sending tx...');
-        const tx = await buySharesViaApi(subjectArg, amountArg);
-        success(`Tx confirmed: ${tx.hash}`);
+        const result = await buySharesViaApi(subjectArg, amountArg, limits, gas, wait);
+        reportTradeResult(result);
       }
       return;
     }
@@ -185,23 +2155,99 @@ async function main() {
     if (command === 'sell') {
       const [subjectArg, amountArg] = args.slice(1, 3);
       if (!subjectArg || !amountArg) {
-        error('Usage: node buy-sell-shares.js sell <subject> <amount> [--on-chain]');
+        error('Usage: node buy-sell-shares.js sell <subject> <amount> [--on-chain] [--dry-run] [--min-proceeds <bnb>] [--slippage <pct>]');
         process.exit(1);
       }
       parseSubject(subjectArg);
       parseAmount(amountArg);
+      if (flags['dry-run']) {
+        info(`Simulating sell (${useOnChain ? 'on-chain' : 'API quote'})...`);
+        const sim = await simulateTrade('sell', subjectArg, amountArg, { onChain: useOnChain, limits, gas });
+        printSimulation(sim);
+        success('Dry run OK - transaction was not broadcast');
+        return;
+      }
       if (useOnChain) {
         info('Selling shares on-chain...');
-        const tx = await sellSharesOnChain(subjectArg, amountArg);
-        success(`Tx confirmed: ${tx.hash}`);
+        const result = await sellSharesOnChain(subjectArg, amountArg, limits, gas, wait);
+        reportTradeResult(result);
       } else {
         info('Getting quote from API and sending tx...');
-        const tx = await sellSharesViaApi(subjectArg, amountArg);
-        success(`Tx confirmed: ${tx.hash}`);
+        const result = await sellSharesViaApi(subjectArg, amountArg, limits, gas, wait);
+        reportTradeResult(result);
+      }
+      return;
+    }
+
+    if (command === 'batch') {
+      if (!args[1]) {
+        error('Usage: node buy-sell-shares.js batch <plan.json> [--dry-run]');
+        process.exit(1);
+      }
+      const plan = loadBatchPlan(args[1]);
+      info(`Running ${plan.orders.length} order(s)${flags['dry-run'] ? ' (dry run)' : ''}...`);
+      const summary = await runBatch(plan, { dryRun: flags['dry-run'] === true, gas, wait });
+      printBatchSummary(summary);
+      if (summary.results.some((r) => r.status === 'failed')) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (command === 'curve') {
+      await runCurveCommand(flags);
+      return;
+    }
+
+    if (command === 'portfolio') {
+      info('Loading holdings from API and chain...');
+      printPortfolio(await getPortfolio());
+      return;
+    }
+
+    if (command === 'analyze') {
+      if (!args[1]) {
+        error('Usage: node buy-sell-shares.js analyze <subject> [--days <n>] [--json]');
+        process.exit(1);
+      }
+      const days = flags.days != null ? Number(flags.days) : 7;
+      if (!Number.isFinite(days) || days <= 0) {
+        throw new Error('--days must be a positive number');
+      }
+      const analysis = await analyzeSubject(parseSubject(args[1]), { days });
+      if (flags.json) {
+        console.log(JSON.stringify(analysis, (k, v) => (typeof v === 'bigint' ? v.toString() : v), 2));
+      } else {
+        printAnalysis(analysis);
       }
       return;
     }
 
+    if (command === 'policy') {
+      runPolicyCommand(args[1]);
+      return;
+    }
+
+    if (command === 'orders') {
+      await runOrdersCommand(args[1], args.slice(2), flags, gas, wait);
+      return;
+    }
+
+    if (command === 'dca') {
+      await runDcaCommand(args[1], args.slice(2), flags, gas, wait);
+      return;
+    }
+
+    if (command === 'tx') {
+      await runTxCommand(args[1], args.slice(2), flags, gas, wait);
+      return;
+    }
+
+    if (command === 'journal') {
+      await runJournalCommand(args[1], args.slice(2), flags);
+      return;
+    }
+
     if (command === 'quote') {
       const [sideArg, subjectArg, amountArg] = args.slice(1, 4);
       if (!sideArg || !subjectArg || !amountArg) {
@@ -230,7 +2276,11 @@ async function main() {
 
     usage();
   } catch (e) {
-    error(e.message);
+    if (e instanceof TradeRuleError || e instanceof PolicyViolationError || e instanceof TransactionError) {
+      error(formatTradeError(e));
+    } else {
+      error(e.message);
+    }
     process.exit(1);
   }
 }
@@ -77,6 +77,7 @@ const execAsync = promisify(exec);
  * @property {'main' | 'isolated'} sessionTarget - Execution context
  * @property {'now' | 'next-heartbeat'} wakeMode - When to wake the agent
  * @property {boolean} enabled - Whether the task is enabled
+ * @property {boolean} [optIn] - Left out of the default deploy; deployed only when asked for by ID
  * @property {string} description - Task description
  * @property {DeliveryConfig} [delivery] - Delivery configuration (isolated jobs only)
  * @property {boolean} [deleteAfterRun] - Delete job after successful run (one-shot jobs)
@@ -169,6 +170,27 @@ export const CRONJOB_TASKS = [
     enabled: true,
     description: 'Checks for skill updates every 2 hours'
   },
+  {
+    id: 'clawfriend-dca',
+    name: 'ClawFriend Share DCA',
+    schedule: {
+      kind: 'every',
+      everyMs: 3600000 // 1 hour; each plan's own interval decides when it buys
+    },
+    payload: {
+      kind: 'agentTurn',
+      message: 'Run scheduled ClawFriend share DCA purchases: cd ~/.openclaw/workspace/skills/clawfriend && node scripts/buy-sell-shares.js dca run\n\nThe script decides amounts from the saved plans. Do not place any other trades. Report the output.'
+    },
+    delivery: {
+      mode: 'announce',
+      channel: 'last'
+    },
+    sessionTarget: 'isolated',
+    wakeMode: 'next-heartbeat',
+    enabled: true,
+    optIn: true, // Deploy with `deploy clawfriend-dca` after creating a plan
+    description: 'Executes due DCA plans (buy-sell-shares.js dca) every hour'
+  },
 ];
 
 /**
@@ -179,7 +201,7 @@ export const CRONJOB_TASKS = [
 
 /**
  * Get list of available cronjob tasks
- * @returns {Array<{id: string, name: string, schedule: Schedule, description: string, enabled: boolean}>}
+ * @returns {Array<{id: string, name: string, schedule: Schedule, description: string, enabled: boolean, optIn: boolean}>}
  */
 export function getAvailableCronjobs() {
   return CRONJOB_TASKS.map(task => ({
@@ -187,7 +209,8 @@ export function getAvailableCronjobs() {
     name: task.name,
     schedule: task.schedule,
     description: task.description,
-    enabled: task.enabled
+    enabled: task.enabled,
+    optIn: task.optIn === true
   }));
 }
 
@@ -371,7 +394,8 @@ async function deployCronjobTask(task) {
 
 /**
  * Deploy multiple cronjob tasks
- * @param {Array<string> | null} [taskIds=null] - Array of task IDs to deploy, or null for all enabled tasks
+ * @param {Array<string> | null} [taskIds=null] - Array of task IDs to deploy, or null for all enabled,
+ *   non-opt-in tasks
  * @returns {Promise<{success: boolean, deployed: number, skipped?: number, failed?: number, error?: string, results?: Array}>}
  */
 export async function deployCronjobs(taskIds = null) {
@@ -400,8 +424,8 @@ export async function deployCronjobs(taskIds = null) {
       return { success: false, error: 'No valid task IDs provided' };
     }
   } else {
-    // Deploy all enabled tasks
-    tasksToDeploy = CRONJOB_TASKS.filter(task => task.enabled);
+    // Deploy all enabled tasks; opt-in tasks only deploy by ID
+    tasksToDeploy = CRONJOB_TASKS.filter(task => task.enabled && !task.optIn);
   }
   
   if (tasksToDeploy.length === 0) {
@@ -477,7 +501,7 @@ export async function listCronjobTasks() {
     console.log(`   ID: ${task.id}`);
     console.log(`   Schedule: ${task.schedule}`);
     console.log(`   Description: ${task.description}`);
-    console.log(`   Status: ${task.enabled ? 'Enabled' : 'Disabled'}`);
+    console.log(`   Status: ${task.enabled ? 'Enabled' : 'Disabled'}${task.optIn ? ` (opt-in: deploy ${task.id})` : ''}`);
     
     // Show deployment info if deployed
     if (deployedJob) {
@@ -511,7 +535,7 @@ export async function listCronjobTasks() {
   console.log('  🚀 = Already deployed');
   console.log();
   console.log('To deploy cronjobs:');
-  console.log('  node scripts/cronjob-manager.js deploy              - Deploy all enabled tasks');
+  console.log('  node scripts/cronjob-manager.js deploy              - Deploy all enabled tasks (except opt-in)');
   console.log('  node scripts/cronjob-manager.js deploy task1,task2  - Deploy specific tasks');
   console.log();
 }
@@ -817,7 +841,7 @@ async function main() {
         console.log('  # List all available tasks');
         console.log('  node cronjob-manager.js list');
         console.log('');
-        console.log('  # Deploy all enabled tasks');
+        console.log('  # Deploy all enabled tasks (opt-in tasks such as clawfriend-dca only by ID)');
         console.log('  node cronjob-manager.js deploy');
         console.log('');
         console.log('  # Deploy specific task');
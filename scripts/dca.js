@@ -0,0 +1,149 @@
+/**
+ * Dollar-cost-averaging plans for ClawFriend shares
+ * Stored in the ClawFriend workspace state (DCA_PLANS), one plan per subject, and
+ * executed by `buy-sell-shares.js dca run` from the clawfriend-dca cronjob task.
+ */
+
+import { ethers } from 'ethers';
+import { getState, updateState, getNetworkStateKey } from './utils.js';
+
+const DCA_KEY = 'DCA_PLANS';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DcaPlan
+ * @property {string} subject - Shares subject address
+ * @property {string} [shares] - Shares to buy per run
+ * @property {string} [bnb] - Wei to spend per run (buys as many shares as fit)
+ * @property {string} target - Stop once the on-chain position reaches this many shares
+ * @property {string} [budget] - Wei cap on total spend across all runs
+ * @property {number} intervalHours - Minimum time between runs
+ * @property {boolean} onChain - Execute on-chain instead of via API quote
+ * @property {'active'|'completed'} status
+ * @property {string} spent - Wei spent so far (incl. fees)
+ * @property {string} bought - Shares bought so far
+ * @property {number} runs - Successful buys
+ * @property {string} createdAt - ISO 8601
+ * @property {string} [lastRunAt] - ISO 8601 of the last due run (bought or not)
+ * @property {string} [lastResult] - Outcome of the last run
+ */
+
+/**
+ * Get all DCA plans
+ * @returns {DcaPlan[]}
+ */
+export function getDcaPlans() {
+  const plans = getState(getNetworkStateKey(DCA_KEY), []);
+  return Array.isArray(plans) ? plans : [];
+}
+
+function savePlans(plans) {
+  updateState({ [getNetworkStateKey(DCA_KEY)]: plans });
+}
+
+/**
+ * Create or replace the plan for a subject (progress starts from zero)
+ * @param {Object} plan
+ * @param {string} plan.subject
+ * @param {bigint} [plan.shares] - Shares per run (exactly one of shares/bnb)
+ * @param {bigint} [plan.bnb] - Wei per run
+ * @param {bigint} plan.target - Target position in shares
+ * @param {bigint} [plan.budget] - Total wei cap
+ * @param {number} [plan.intervalHours=24]
+ * @param {boolean} [plan.onChain]
+ * @returns {DcaPlan}
+ */
+export function setDcaPlan({ subject, shares, bnb, target, budget, intervalHours = 24, onChain = false }) {
+  if ((shares == null) === (bnb == null)) {
+    throw new Error('Set exactly one of shares or bnb per run');
+  }
+  if (shares != null && shares < 1n) throw new Error('Shares per run must be >= 1');
+  if (bnb != null && bnb <= 0n) throw new Error('BNB per run must be greater than 0');
+  if (target == null || target < 1n) throw new Error('Target position must be >= 1 share');
+  if (!Number.isFinite(intervalHours) || intervalHours <= 0) {
+    throw new Error('Interval must be a positive number of hours');
+  }
+
+  const plan = {
+    subject: ethers.getAddress(subject),
+    target: target.toString(),
+    intervalHours,
+    onChain: onChain === true,
+    status: 'active',
+    spent: '0',
+    bought: '0',
+    runs: 0,
+    createdAt: new Date().toISOString()
+  };
+  if (shares != null) plan.shares = shares.toString();
+  if (bnb != null) plan.bnb = bnb.toString();
+  if (budget != null) plan.budget = budget.toString();
+
+  const plans = getDcaPlans().filter((p) => p.subject.toLowerCase() !== plan.subject.toLowerCase());
+  savePlans([...plans, plan]);
+  return plan;
+}
+
+/**
+ * Delete the plan for a subject
+ * @param {string} subject
+ * @returns {boolean} Whether a plan was removed
+ */
+export function removeDcaPlan(subject) {
+  const plans = getDcaPlans();
+  const kept = plans.filter((p) => p.subject.toLowerCase() !== subject.toLowerCase());
+  if (kept.length === plans.length) return false;
+  savePlans(kept);
+  return true;
+}
+
+/**
+ * Merge fields into the plan for a subject
+ * @param {string} subject
+ * @param {Partial<DcaPlan>} patch
+ * @returns {DcaPlan}
+ */
+export function updateDcaPlan(subject, patch) {
+  const plans = getDcaPlans();
+  const plan = plans.find((p) => p.subject.toLowerCase() === subject.toLowerCase());
+  if (!plan) throw new Error(`No DCA plan for ${subject}`);
+  Object.assign(plan, patch);
+  savePlans(plans);
+  return plan;
+}
+
+/**
+ * Whether an active plan's interval has elapsed since its last run
+ * @param {DcaPlan} plan
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isDcaDue(plan, now = Date.now()) {
+  if (plan.status !== 'active') return false;
+  if (!plan.lastRunAt) return true;
+  return now - Date.parse(plan.lastRunAt) >= plan.intervalHours * HOUR_MS;
+}
+
+/**
+ * BNB (wei) this run may spend: the per-run amount capped by the remaining budget
+ * @param {DcaPlan} plan
+ * @returns {bigint|null} null when neither bnb nor budget is set
+ */
+export function getDcaRunCap(plan) {
+  const perRun = plan.bnb != null ? BigInt(plan.bnb) : null;
+  if (plan.budget == null) return perRun;
+  const remaining = BigInt(plan.budget) - BigInt(plan.spent);
+  const left = remaining > 0n ? remaining : 0n;
+  return perRun != null && perRun < left ? perRun : left;
+}
+
+/**
+ * Whether the plan's remaining budget can no longer pay for a single share
+ * @param {DcaPlan} plan
+ * @param {bigint} sharePrice - Wei price after fee of the next share
+ * @returns {boolean} false when the plan has no budget
+ */
+export function isDcaBudgetExhausted(plan, sharePrice) {
+  if (plan.budget == null) return false;
+  return BigInt(plan.budget) - BigInt(plan.spent) < BigInt(sharePrice);
+}
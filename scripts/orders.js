@@ -0,0 +1,160 @@
+/**
+ * Conditional orders for ClawFriend shares - limit buys and stop-loss sells
+ * Stored in the ClawFriend workspace state (ORDERS) and evaluated by
+ * `buy-sell-shares.js orders check`, which cron can run.
+ *
+ * An order moves open -> triggered -> filled | failed. It is marked triggered
+ * (and saved) before any transaction is sent, so it is never executed twice.
+ * A triggered order with a hash has a transaction that had not confirmed when its
+ * wait timed out; the next check settles it from the chain.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { getState, updateState, getNetworkStateKey } from './utils.js';
+
+const ORDERS_KEY = 'ORDERS';
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {'buy'|'sell'} side
+ * @property {string} subject - Shares subject address
+ * @property {string} amount - Number of shares, or 'all' (sell only: the sellable position at check time)
+ * @property {string} below - Trigger in wei per share: price after fee for `amount` shares, divided by
+ *   the amount, must drop below this
+ * @property {boolean} onChain - Execute on-chain instead of via API quote
+ * @property {'open'|'triggered'|'filled'|'failed'|'cancelled'} status
+ * @property {string} createdAt - ISO 8601
+ * @property {string} [triggeredAt] - ISO 8601
+ * @property {string} [triggerPrice] - Wei price after fee per share that triggered the order
+ * @property {string} [hash] - Transaction hash once sent
+ * @property {string} [error] - Failure reason
+ */
+
+/**
+ * Get all orders, oldest first
+ * @returns {Order[]}
+ */
+export function getOrders() {
+  const orders = getState(getNetworkStateKey(ORDERS_KEY), []);
+  return Array.isArray(orders) ? orders : [];
+}
+
+function saveOrders(orders) {
+  updateState({ [getNetworkStateKey(ORDERS_KEY)]: orders });
+}
+
+/**
+ * Register a new open order
+ * @param {Object} order
+ * @param {'buy'|'sell'} order.side
+ * @param {string} order.subject
+ * @param {string|number} order.amount - Shares, or 'all' for a sell
+ * @param {bigint} order.below - Trigger price after fee per share (wei)
+ * @param {boolean} [order.onChain]
+ * @returns {Order}
+ */
+export function addOrder({ side, subject, amount, below, onChain = false }) {
+  if (side !== 'buy' && side !== 'sell') {
+    throw new Error('side must be buy or sell');
+  }
+  const amountStr = String(amount).toLowerCase();
+  if (amountStr === 'all') {
+    if (side !== 'sell') throw new Error("Amount 'all' is only valid for sell orders");
+  } else if (!/^[1-9]\d*$/.test(amountStr)) {
+    throw new Error("Amount must be an integer >= 1 (or 'all' for sell)");
+  }
+  if (below == null || below <= 0n) {
+    throw new Error('Trigger price must be greater than 0');
+  }
+
+  const order = {
+    id: crypto.randomBytes(4).toString('hex'),
+    side,
+    subject: ethers.getAddress(subject),
+    amount: amountStr,
+    below: below.toString(),
+    onChain: onChain === true,
+    status: 'open',
+    createdAt: new Date().toISOString()
+  };
+  saveOrders([...getOrders(), order]);
+  return order;
+}
+
+/**
+ * Cancel an open order
+ * @param {string} id
+ * @returns {Order}
+ */
+export function cancelOrder(id) {
+  const orders = getOrders();
+  const order = orders.find((o) => o.id === id);
+  if (!order) throw new Error(`Order ${id} not found`);
+  if (order.status !== 'open') throw new Error(`Order ${id} is ${order.status}, not open`);
+  order.status = 'cancelled';
+  saveOrders(orders);
+  return order;
+}
+
+/**
+ * Whether a quote meets the order's per-share trigger
+ * @param {Order} order
+ * @param {bigint} priceAfterFee - Wei for `amount` shares (buy cost or sell proceeds)
+ * @param {bigint} amount - Shares quoted; resolves 'all' to the position at check time
+ * @returns {boolean}
+ */
+export function isTriggered(order, priceAfterFee, amount) {
+  return priceAfterFee < BigInt(order.below) * BigInt(amount);
+}
+
+/**
+ * Move an order from open to triggered and save it before anything is sent.
+ * Re-reads state so an order already claimed by another run is left alone.
+ * @param {string} id
+ * @param {bigint} pricePerShare - Price after fee per share that triggered it
+ * @returns {Order|null} The claimed order, or null if it is no longer open
+ */
+export function claimOrder(id, pricePerShare) {
+  const orders = getOrders();
+  const order = orders.find((o) => o.id === id);
+  if (!order || order.status !== 'open') return null;
+  order.status = 'triggered';
+  order.triggeredAt = new Date().toISOString();
+  order.triggerPrice = pricePerShare.toString();
+  saveOrders(orders);
+  return order;
+}
+
+/**
+ * Keep a triggered order whose transaction is still unconfirmed, with its hash
+ * @param {string} id
+ * @param {string} hash
+ * @returns {Order}
+ */
+export function setOrderPending(id, hash) {
+  const orders = getOrders();
+  const order = orders.find((o) => o.id === id);
+  if (!order) throw new Error(`Order ${id} not found`);
+  order.hash = hash;
+  saveOrders(orders);
+  return order;
+}
+
+/**
+ * Record the outcome of a triggered order
+ * @param {string} id
+ * @param {{hash?: string, error?: string}} outcome - hash marks it filled, otherwise failed
+ * @returns {Order}
+ */
+export function completeOrder(id, { hash, error } = {}) {
+  const orders = getOrders();
+  const order = orders.find((o) => o.id === id);
+  if (!order) throw new Error(`Order ${id} not found`);
+  order.status = hash ? 'filled' : 'failed';
+  if (hash) order.hash = hash;
+  if (error) order.error = error;
+  saveOrders(orders);
+  return order;
+}
@@ -0,0 +1,136 @@
+/**
+ * Offline bonding-curve pricing - mirrors the ClawFriend contract's
+ * getPrice / getBuyPriceAfterFee / getSellPriceAfterFee so strategy code can
+ * evaluate trades without an RPC round-trip per candidate.
+ *
+ * Fee percents are 1e18-scaled (5% = 0.05e18), as returned by
+ * protocolFeePercent() / subjectFeePercent().
+ */
+
+import { getState, updateState, getNetworkStateKey } from './utils.js';
+
+const ONE_ETHER = 10n ** 18n;
+const CURVE_DIVISOR = 16000n;
+const FEES_KEY = 'CURVE_FEES';
+
+/**
+ * @typedef {Object} FeePercents
+ * @property {bigint} protocolFeePercent - 1e18-scaled
+ * @property {bigint} subjectFeePercent - 1e18-scaled
+ */
+
+function sumOfSquares(n) {
+  return (n * (n + 1n) * (2n * n + 1n)) / 6n;
+}
+
+/**
+ * Price (wei, before fees) of `amount` shares starting at `supply`
+ * @param {bigint} supply
+ * @param {bigint} amount
+ * @returns {bigint}
+ */
+export function getPrice(supply, amount) {
+  supply = BigInt(supply);
+  amount = BigInt(amount);
+  const sum1 = supply === 0n ? 0n : sumOfSquares(supply - 1n);
+  const sum2 = supply === 0n && amount === 1n ? 0n : sumOfSquares(supply - 1n + amount);
+  return ((sum2 - sum1) * ONE_ETHER) / CURVE_DIVISOR;
+}
+
+export function getBuyPrice(supply, amount) {
+  return getPrice(supply, amount);
+}
+
+export function getSellPrice(supply, amount) {
+  return getPrice(BigInt(supply) - BigInt(amount), amount);
+}
+
+/**
+ * Split a base price into protocol and subject fees
+ * @param {bigint} price
+ * @param {FeePercents} fees
+ * @returns {{protocolFee: bigint, subjectFee: bigint}}
+ */
+export function getFees(price, fees) {
+  return {
+    protocolFee: (price * fees.protocolFeePercent) / ONE_ETHER,
+    subjectFee: (price * fees.subjectFeePercent) / ONE_ETHER
+  };
+}
+
+/**
+ * @param {bigint} supply
+ * @param {bigint} amount
+ * @param {FeePercents} fees
+ * @returns {bigint} Wei to pay
+ */
+export function getBuyPriceAfterFee(supply, amount, fees) {
+  const price = getBuyPrice(supply, amount);
+  const { protocolFee, subjectFee } = getFees(price, fees);
+  return price + protocolFee + subjectFee;
+}
+
+/**
+ * @param {bigint} supply
+ * @param {bigint} amount - Must not exceed supply
+ * @param {FeePercents} fees
+ * @returns {bigint} Wei received
+ */
+export function getSellPriceAfterFee(supply, amount, fees) {
+  if (BigInt(amount) > BigInt(supply)) {
+    throw new Error('Cannot price selling more shares than the supply');
+  }
+  const price = getSellPrice(supply, amount);
+  const { protocolFee, subjectFee } = getFees(price, fees);
+  return price - protocolFee - subjectFee;
+}
+
+/**
+ * Largest number of shares (up to maxAmount) whose buy price after fee fits in budget
+ * @param {bigint} supply
+ * @param {bigint} budget - Wei
+ * @param {FeePercents} fees
+ * @param {bigint} maxAmount
+ * @returns {bigint} 0 if not even one share fits
+ */
+export function getMaxBuyAmount(supply, budget, fees, maxAmount) {
+  let amount = 0n;
+  while (amount < BigInt(maxAmount) && getBuyPriceAfterFee(supply, amount + 1n, fees) <= BigInt(budget)) {
+    amount += 1n;
+  }
+  return amount;
+}
+
+/**
+ * Read fee percents from the contract once and cache them in state for offline use
+ * @param {import('ethers').Contract} contract - ClawFriend contract (any runner)
+ * @returns {Promise<FeePercents>}
+ */
+export async function loadFeePercents(contract) {
+  const [protocolFeePercent, subjectFeePercent] = await Promise.all([
+    contract.protocolFeePercent(),
+    contract.subjectFeePercent()
+  ]);
+  updateState({
+    [getNetworkStateKey(FEES_KEY)]: {
+      protocolFeePercent: protocolFeePercent.toString(),
+      subjectFeePercent: subjectFeePercent.toString(),
+      fetchedAt: new Date().toISOString()
+    }
+  });
+  return { protocolFeePercent, subjectFeePercent };
+}
+
+/**
+ * Fee percents cached by loadFeePercents, or null if never loaded
+ * @returns {(FeePercents & {fetchedAt: string}) | null}
+ */
+export function getCachedFeePercents() {
+  const cached = getState(getNetworkStateKey(FEES_KEY));
+  if (!cached) return null;
+  return {
+    protocolFeePercent: BigInt(cached.protocolFeePercent),
+    subjectFeePercent: BigInt(cached.subjectFeePercent),
+    fetchedAt: cached.fetchedAt
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Shared EVM provider factory for trading and balance commands
+ *
+ * Endpoints and the expected chain id come from the active network profile (see
+ * getNetwork in utils.js). Each endpoint is health-checked (eth_chainId + eth_blockNumber
+ * within a timeout) and rejected if it is down or on the wrong chain. Two or more
+ * healthy endpoints are combined into an ethers FallbackProvider, which fails over
+ * between them and can require a quorum of matching answers for reads.
+ */
+
+import { ethers } from 'ethers';
+import { getEnv, getNetwork, warning } from './utils.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+/**
+ * @typedef {Object} RpcHealth
+ * @property {string} url
+ * @property {boolean} ok
+ * @property {bigint} [chainId]
+ * @property {number} [blockNumber]
+ * @property {number} [latencyMs]
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} ProviderOptions
+ * @property {string[]} [urls] - Defaults to getRpcUrls()
+ * @property {bigint} [chainId] - Expected chain id (default: active network's)
+ * @property {number} [timeoutMs] - Per-request timeout (default EVM_RPC_TIMEOUT_MS or 8000)
+ * @property {number} [quorum] - Matching answers required for reads (default EVM_RPC_QUORUM or 1)
+ */
+
+/**
+ * RPC endpoints of the active network, deduplicated, in priority order
+ * @returns {string[]}
+ */
+export function getRpcUrls() {
+  return [...new Set(getNetwork().rpcUrls)];
+}
+
+function getChainId() {
+  return BigInt(getNetwork().chainId);
+}
+
+function getTimeoutMs() {
+  const value = Number(getEnv('EVM_RPC_TIMEOUT_MS', DEFAULT_TIMEOUT_MS));
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+function getQuorum() {
+  const value = parseInt(getEnv('EVM_RPC_QUORUM', 1), 10);
+  return Number.isInteger(value) && value > 0 ? value : 1;
+}
+
+// Raw JSON-RPC call: a JsonRpcProvider pointed at a dead endpoint retries network
+// detection forever, so health checks must not go through one
+async function rpcCall(url, method, timeoutMs) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  request.body = { jsonrpc: '2.0', id: 1, method, params: [] };
+  const response = await request.send();
+  response.assertOk();
+  const json = response.bodyJson;
+  if (json.error) {
+    throw new Error(json.error.message || `${method} failed`);
+  }
+  return json.result;
+}
+
+/**
+ * Health-check one endpoint
+ * @param {string} url
+ * @param {{chainId?: bigint, timeoutMs?: number}} [options]
+ * @returns {Promise<RpcHealth>}
+ */
+export async function checkRpcHealth(url, { chainId = getChainId(), timeoutMs = getTimeoutMs() } = {}) {
+  const started = Date.now();
+  try {
+    const [chainHex, blockHex] = await Promise.all([
+      rpcCall(url, 'eth_chainId', timeoutMs),
+      rpcCall(url, 'eth_blockNumber', timeoutMs)
+    ]);
+    const health = {
+      url,
+      ok: true,
+      chainId: BigInt(chainHex),
+      blockNumber: Number(BigInt(blockHex)),
+      latencyMs: Date.now() - started
+    };
+    if (health.chainId !== BigInt(chainId)) {
+      health.ok = false;
+      health.error = `wrong chain id ${health.chainId} (expected ${chainId})`;
+    }
+    return health;
+  } catch (e) {
+    return { url, ok: false, error: e.shortMessage || e.message };
+  }
+}
+
+function createJsonRpcProvider(url, timeoutMs, network) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  // The chain id was verified by the health check; don't re-detect on every call
+  return new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+}
+
+/**
+ * Build a provider from the healthy endpoints (fastest first)
+ * @param {ProviderOptions} [options]
+ * @returns {Promise<ethers.JsonRpcProvider|ethers.FallbackProvider>}
+ */
+export async function createProvider({
+  urls = getRpcUrls(),
+  chainId = getChainId(),
+  timeoutMs = getTimeoutMs(),
+  quorum = getQuorum()
+} = {}) {
+  const results = await Promise.all(urls.map((url) => checkRpcHealth(url, { chainId, timeoutMs })));
+  results.filter((r) => !r.ok).forEach((r) => warning(`RPC ${r.url} skipped: ${r.error}`));
+  const healthy = results.filter((r) => r.ok).sort((a, b) => a.latencyMs - b.latencyMs);
+
+  if (healthy.length === 0) {
+    throw new Error(`No healthy RPC endpoint on chain ${chainId} (tried ${urls.join(', ')})`);
+  }
+  if (quorum > healthy.length) {
+    throw new Error(`RPC quorum ${quorum} needs ${quorum} healthy endpoints, only ${healthy.length} available`);
+  }
+
+  const network = ethers.Network.from(BigInt(chainId));
+  const providers = healthy.map((r) => createJsonRpcProvider(r.url, timeoutMs, network));
+  if (providers.length === 1) {
+    return providers[0];
+  }
+  return new ethers.FallbackProvider(
+    providers.map((provider, i) => ({ provider, priority: i + 1, weight: 1 })),
+    network,
+    { quorum }
+  );
+}
+
+/**
+ * Re-check the chain id of every endpoint behind a provider right before signing
+ * @param {ethers.JsonRpcProvider|ethers.FallbackProvider} provider
+ * @param {bigint} [chainId]
+ * @throws {Error} If any endpoint reports a different chain
+ */
+export async function verifyChainId(provider, chainId = getChainId()) {
+  const endpoints =
+    provider instanceof ethers.FallbackProvider ? provider.providerConfigs.map((c) => c.provider) : [provider];
+  for (const endpoint of endpoints) {
+    const actual = BigInt(await endpoint.send('eth_chainId', []));
+    if (actual !== BigInt(chainId)) {
+      throw new Error(`RPC is on chain ${actual}, expected ${chainId} - refusing to sign`);
+    }
+  }
+}
+
+let _defaultProvider = null;
+
+/**
+ * Shared provider for this process, built from the configured endpoints on first use
+ * @returns {Promise<ethers.JsonRpcProvider|ethers.FallbackProvider>}
+ */
+export function getProvider() {
+  if (_defaultProvider === null) {
+    _defaultProvider = createProvider().catch((e) => {
+      _defaultProvider = null;
+      throw e;
+    });
+  }
+  return _defaultProvider;
+}
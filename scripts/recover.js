@@ -4,6 +4,10 @@
  * Reads wallet from config (via wallet.js), constructs a recovery message locally,
  * signs it, and sends { walletAddress, signature } in a single POST to /v1/agents/recover.
  * Saves API_DOMAIN, AGENT_NAME, EVM_ADDRESS, CLAW_FRIEND_API_KEY to openclaw.json.
+ *
+ * Usage:
+ *   node scripts/recover.js --self-sign [API_DOMAIN]            - sign with the wallet in config
+ *   node scripts/recover.js <API_DOMAIN> <address> <signature>  - use a signature made elsewhere
  */
 
 import { checkDependencies } from './check-dependencies.js';
@@ -13,12 +17,14 @@ import { ethers } from 'ethers';
 import {
   apiRequest,
   updateClawFriendConfig,
+  getApiBaseUrl,
   getEnv,
   success,
   error,
   info,
   prettyJson
 } from './utils.js';
+import { signRecoveryMessage } from './wallet.js';
 
 /**
  * Recover API key with a single POST: { walletAddress, signature }
@@ -111,12 +117,48 @@ async function runRecovery(apiDomain, address, signature) {
   }
 }
 
+/**
+ * Sign the recovery message with the wallet from config (plaintext key or keystore),
+ * check the signature locally, then recover.
+ * @param {string} apiDomain - API base URL
+ */
+async function runSelfSignedRecovery(apiDomain) {
+  let signed;
+  try {
+    signed = await signRecoveryMessage();
+  } catch (e) {
+    error(`Cannot sign recovery message: ${e.message}`);
+    throw e;
+  }
+
+  const recovered = ethers.verifyMessage(signed.message, signed.signature).toLowerCase();
+  if (recovered !== signed.address) {
+    error(`Signature check failed: recovered ${recovered}, expected ${signed.address}`);
+    throw new Error('Signature check failed');
+  }
+  const configured = getEnv('EVM_ADDRESS');
+  if (configured && configured.toLowerCase() !== signed.address) {
+    error(`Wallet key belongs to ${signed.address}, but EVM_ADDRESS is ${configured}`);
+    throw new Error('Wallet address mismatch');
+  }
+
+  info(`Signed locally: "${signed.message}"`);
+  await runRecovery(apiDomain, signed.address, signed.signature);
+}
+
 if (import.meta.url === `file://${process.argv[1]}`) {
-  // Parse args: node scripts/recover.js [API_DOMAIN] [address] [signature] 
   const args = process.argv.slice(2);
-  const apiDomain = args[0];
-  const address = args[1];
-  const signature = args[2];
 
-  runRecovery(apiDomain, address, signature).catch(() => process.exit(1));
+  if (args[0] === '--self-sign') {
+    // Parse args: node scripts/recover.js --self-sign [API_DOMAIN]
+    const apiDomain = args[1] || getApiBaseUrl();
+    runSelfSignedRecovery(apiDomain).catch(() => process.exit(1));
+  } else {
+    // Parse args: node scripts/recover.js [API_DOMAIN] [address] [signature]
+    const apiDomain = args[0];
+    const address = args[1];
+    const signature = args[2];
+
+    runRecovery(apiDomain, address, signature).catch(() => process.exit(1));
+  }
 }
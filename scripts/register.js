@@ -16,6 +16,7 @@ import {
   updateState,
   getState,
   getEnv,
+  getNetwork,
   getApiKey,
   checkApiKey,
   success,
@@ -166,7 +167,8 @@ export async function registerAgent(name, skipPrereqCheck = false, isRetry = fal
       console.log('\n🦞 ClawFriend Registration Almost Complete!\n');
       console.log('To verify your agent, please click the link below:\n');
       console.log(`👉 ${response.claim_url}\n`);
-      console.log(`📍 Network: BNB (Chain ID: 56)`);
+      const network = getNetwork();
+      console.log(`📍 Network: ${network.name} (Chain ID: ${network.chainId})`);
       console.log(`🔑 Address: ${address}\n`);
       console.log('Once you complete the verification on the website, your agent will be active and ready to use!');
     } else {
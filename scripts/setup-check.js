@@ -20,6 +20,7 @@ import {
   writeClawFriendState,
   updateState,
   getEnv,
+  getNetwork,
   success,
   error,
   warning,
@@ -257,7 +258,7 @@ async function executeWalletRegisterStep(agentName) {
     
     // Step 5.1: Check/Generate Wallet
     info('Checking/generating wallet...');
-    const { hasWallet, generateWallet } = await import('./wallet.js');
+    const { hasWallet, generateWallet, printRecoveryPhrase } = await import('./wallet.js');
     
     let walletAddress;
     if (hasWallet()) {
@@ -268,6 +269,7 @@ async function executeWalletRegisterStep(agentName) {
       const walletResult = generateWallet();
       walletAddress = walletResult.address;
       success(`✓ Wallet generated: ${walletAddress}`);
+      printRecoveryPhrase(walletResult.mnemonic, walletResult.path);
     }
     
     // Step 5.2: Register Agent (depends on wallet from 5.1)
@@ -566,7 +568,8 @@ async function main() {
                 console.log('\n🦞 ClawFriend Registration Almost Complete!\n');
                 console.log('To verify your agent, please click the link below:\n');
                 console.log(`👉 ${regResult.claimUrl}\n`);
-                console.log(`📍 Network: BNB (Chain ID: 56)`);
+                const network = getNetwork();
+                console.log(`📍 Network: ${network.name} (Chain ID: ${network.chainId})`);
                 console.log(`🔑 Address: ${walletAddr}\n`);
                 console.log('Once you complete the verification on the website, your agent will be active and ready to use!');
               }
@@ -0,0 +1,33 @@
+/**
+ * DCA run sizing: the per-run cap and when a plan's budget is used up.
+ *
+ * Run: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getDcaRunCap, isDcaBudgetExhausted } from '../dca.js';
+
+const plan = (fields) => ({ subject: '0xaa157b92acd873e61e1b87469305becd35b790d8', spent: '0', ...fields });
+
+test('run cap is the per-run amount while the budget covers it', () => {
+  assert.equal(getDcaRunCap(plan({ bnb: '100', budget: '1000', spent: '500' })), 100n);
+});
+
+test('run cap shrinks to the remaining budget, and to 0 once it is spent', () => {
+  assert.equal(getDcaRunCap(plan({ bnb: '100', budget: '1000', spent: '950' })), 50n);
+  assert.equal(getDcaRunCap(plan({ bnb: '100', budget: '1000', spent: '1000' })), 0n);
+});
+
+test('budget is exhausted once the remainder cannot pay for one share', () => {
+  assert.equal(isDcaBudgetExhausted(plan({ budget: '1000', spent: '1000' }), 1n), true);
+  assert.equal(isDcaBudgetExhausted(plan({ budget: '1000', spent: '950' }), 60n), true);
+});
+
+test('budget is not exhausted while one share still fits', () => {
+  assert.equal(isDcaBudgetExhausted(plan({ budget: '1000', spent: '950' }), 50n), false);
+});
+
+test('plans without a budget are never exhausted', () => {
+  assert.equal(isDcaBudgetExhausted(plan({ bnb: '10' }), 10n ** 18n), false);
+});
@@ -0,0 +1,61 @@
+/**
+ * The pre-send price guard: a trade decided at one price must not be sent once the
+ * on-chain price has moved past its limits.
+ *
+ * Run: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { checkPriceGuard } from '../buy-sell-shares.js';
+
+const SUBJECT = '0xaa157b92acd873e61e1b87469305becd35b790d8';
+
+// Stands in for the ClawFriend contract; only the views getQuoteOnChain reads
+function contractAt(priceAfterFee) {
+  return {
+    sharesSupply: async () => 3n,
+    getBuyPriceAfterFee: async () => priceAfterFee,
+    getSellPriceAfterFee: async () => priceAfterFee
+  };
+}
+
+function guard(side, quoted, limits) {
+  return { side, subject: SUBJECT, amount: 2n, quoted, limits };
+}
+
+const quoted = ethers.parseEther('0.01');
+
+test('buy: price moved beyond slippage is rejected', async () => {
+  await assert.rejects(
+    checkPriceGuard(guard('buy', quoted, { slippageBps: 100n }), contractAt(ethers.parseEther('0.0102'))),
+    /Price moved beyond slippage tolerance/
+  );
+});
+
+test('buy: price within slippage passes and returns the fresh quote', async () => {
+  const current = ethers.parseEther('0.0101');
+  assert.equal(await checkPriceGuard(guard('buy', quoted, { slippageBps: 100n }), contractAt(current)), current);
+});
+
+test('buy: price moved above max-cost is rejected', async () => {
+  await assert.rejects(
+    checkPriceGuard(guard('buy', quoted, { maxCost: quoted }), contractAt(quoted + 1n)),
+    /exceeds --max-cost/
+  );
+});
+
+test('sell: price dropped beyond slippage is rejected', async () => {
+  await assert.rejects(
+    checkPriceGuard(guard('sell', quoted, { slippageBps: 100n }), contractAt(ethers.parseEther('0.0098'))),
+    /Price moved beyond slippage tolerance/
+  );
+});
+
+test('sell: price dropped below min-proceeds is rejected', async () => {
+  await assert.rejects(
+    checkPriceGuard(guard('sell', quoted, { minProceeds: quoted }), contractAt(quoted - 1n)),
+    /below --min-proceeds/
+  );
+});
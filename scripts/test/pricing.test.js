@@ -0,0 +1,57 @@
+/**
+ * Offline pricing must return what the contract's getBuyPriceAfterFee /
+ * getSellPriceAfterFee return for the same supply and amount.
+ *
+ * Expected values are wei literals at 5% protocol + 5% subject fee. The supply-3 buy is
+ * the quote shown in preferences/buy-sell-shares.md; the others are the contract's
+ * Σ s² / 16000 curve worked out by hand for the boundary supplies.
+ *
+ * Run: npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getBuyPriceAfterFee, getSellPriceAfterFee, getPrice } from '../pricing.js';
+
+const fees = { protocolFeePercent: 50000000000000000n, subjectFeePercent: 50000000000000000n };
+
+const BUYS = [
+  // First share (launch): free, so no fees either
+  { supply: 0n, amount: 1n, priceAfterFee: 0n },
+  // 1² / 16000 BNB + 10%
+  { supply: 1n, amount: 1n, priceAfterFee: 68750000000000n },
+  // (1² + 2²) / 16000 BNB + 10%
+  { supply: 1n, amount: 2n, priceAfterFee: 343750000000000n },
+  // (3² + 4²) / 16000 BNB + 10%: the documented quote
+  { supply: 3n, amount: 2n, priceAfterFee: 1718750000000000n }
+];
+
+const SELLS = [
+  // Supply 2 -> 1: the share at supply 1, 1² / 16000 BNB - 10%
+  { supply: 2n, amount: 1n, priceAfterFee: 56250000000000n },
+  // Supply 3 -> 1: shares at supply 1 and 2, (1² + 2²) / 16000 BNB - 10%
+  { supply: 3n, amount: 2n, priceAfterFee: 281250000000000n },
+  // Supply 1 -> 0 prices the free first share (the contract forbids the sale itself)
+  { supply: 1n, amount: 1n, priceAfterFee: 0n }
+];
+
+for (const { supply, amount, priceAfterFee } of BUYS) {
+  test(`getBuyPriceAfterFee: ${amount} share(s) at supply ${supply}`, () => {
+    assert.equal(getBuyPriceAfterFee(supply, amount, fees), priceAfterFee);
+  });
+}
+
+for (const { supply, amount, priceAfterFee } of SELLS) {
+  test(`getSellPriceAfterFee: ${amount} share(s) at supply ${supply}`, () => {
+    assert.equal(getSellPriceAfterFee(supply, amount, fees), priceAfterFee);
+  });
+}
+
+test('documented quote splits into price and fees', () => {
+  assert.equal(getPrice(3n, 2n), 1562500000000000n);
+  assert.equal(getBuyPriceAfterFee(3n, 2n, fees) - getPrice(3n, 2n), 2n * 78125000000000n);
+});
+
+test('selling more than the supply is refused', () => {
+  assert.throws(() => getSellPriceAfterFee(1n, 2n, fees), /more shares than the supply/);
+});
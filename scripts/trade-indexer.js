@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+/**
+ * Historical Trade event indexer for the ClawFriend contract
+ *
+ * Scans `Trade` logs over a block range with eth_getLogs (any archive-capable RPC) and
+ * appends them to a local JSONL store next to the workspace state file. Progress is
+ * checkpointed in the state (TRADE_INDEX, per network) after every chunk, so an
+ * interrupted sync resumes where it stopped. Queries read the store: per-subject price
+ * history, volume and top traders.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ethers } from 'ethers';
+import { getProvider } from './provider.js';
+import { CLAW_FRIEND_ABI } from './constants/claw-friend-abi.js';
+import {
+  getClawFriendStatePath,
+  getState,
+  updateState,
+  getNetwork,
+  getNetworkStateKey,
+  setNetwork,
+  parseArgs,
+  success,
+  error,
+  warning,
+  info
+} from './utils.js';
+
+const INDEX_KEY = 'TRADE_INDEX';
+const CLAW_FRIEND_INTERFACE = new ethers.Interface(CLAW_FRIEND_ABI);
+const TRADE_TOPIC = CLAW_FRIEND_INTERFACE.getEvent('Trade').topicHash;
+// Blocks behind the head that are not indexed yet, so a reorg cannot leave stale trades
+const DEFAULT_FINALITY_BLOCKS = 15;
+const DEFAULT_CHUNK_BLOCKS = 2000;
+// Parallel eth_getBlockByNumber calls when resolving timestamps
+const BLOCK_FETCH_CONCURRENCY = 8;
+// How public RPCs reject an eth_getLogs range or result count over their cap
+const LOG_LIMIT_ERROR =
+  /limit exceeded|query returned more than|block range|range (is )?too (large|wide)|too many (blocks|results|logs)|response size/i;
+
+const INTERVALS = { '1h': 3600, '4h': 4 * 3600, '1d': 86400, '1w': 7 * 86400 };
+
+/**
+ * @typedef {Object} IndexedTrade
+ * @property {number} block
+ * @property {number} timestamp - Unix seconds of the block
+ * @property {string} tx - Transaction hash
+ * @property {number} logIndex
+ * @property {string} trader
+ * @property {string} subject
+ * @property {'buy'|'sell'} side
+ * @property {string} amount - Shares
+ * @property {string} price - Wei before fees
+ * @property {string} protocolFee - Wei
+ * @property {string} subjectFee - Wei
+ * @property {string} supply - Supply after the trade
+ * @property {string} traderBalance - Trader's shares after the trade
+ */
+
+/**
+ * @typedef {Object} IndexCheckpoint
+ * @property {string} contract - Contract the store was built from
+ * @property {number} startBlock - First indexed block
+ * @property {number} lastBlock - Last fully indexed block
+ * @property {number} trades - Trades appended so far
+ * @property {string} updatedAt - ISO 8601
+ */
+
+/**
+ * JSONL store of the active network (mainnet keeps the plain file name)
+ * @returns {string}
+ */
+export function getTradeIndexPath() {
+  return path.join(path.dirname(getClawFriendStatePath()), `${getNetworkStateKey('.clawfriend-trades')}.jsonl`);
+}
+
+/**
+ * @returns {IndexCheckpoint|null}
+ */
+export function getIndexCheckpoint() {
+  return getState(getNetworkStateKey(INDEX_KEY), null);
+}
+
+/**
+ * ClawFriend contract address of the active network
+ * @returns {string} Checksummed address
+ */
+export function getContractAddress() {
+  const { contractAddress, id } = getNetwork();
+  if (!contractAddress) {
+    throw new Error(`Network "${id}" has no ClawFriend contractAddress configured`);
+  }
+  return ethers.getAddress(contractAddress);
+}
+
+/**
+ * Decode a Trade log into an index record (timestamp filled in separately)
+ * @param {ethers.Log} log
+ * @returns {IndexedTrade}
+ */
+function toIndexedTrade(log) {
+  const a = CLAW_FRIEND_INTERFACE.parseLog(log).args;
+  return {
+    block: log.blockNumber,
+    timestamp: null,
+    tx: log.transactionHash,
+    logIndex: log.index,
+    trader: a.trader,
+    subject: a.subject,
+    side: a.isBuy ? 'buy' : 'sell',
+    amount: a.shareAmount.toString(),
+    price: a.ethAmount.toString(),
+    protocolFee: a.protocolEthAmount.toString(),
+    subjectFee: a.subjectEthAmount.toString(),
+    supply: a.supply.toString(),
+    traderBalance: a.traderShareBalance.toString()
+  };
+}
+
+async function getBlockTimestamps(provider, blockNumbers) {
+  const timestamps = new Map();
+  const pending = [...new Set(blockNumbers)];
+  while (pending.length > 0) {
+    const batch = pending.splice(0, BLOCK_FETCH_CONCURRENCY);
+    const blocks = await Promise.all(batch.map((n) => provider.getBlock(n)));
+    blocks.forEach((block, i) => {
+      if (!block) throw new Error(`Block ${batch[i]} not found on the RPC`);
+      timestamps.set(batch[i], block.timestamp);
+    });
+  }
+  return timestamps;
+}
+
+function isLogLimitError(e) {
+  return [e?.message, e?.error?.message, e?.info?.error?.message].some(
+    (message) => typeof message === 'string' && LOG_LIMIT_ERROR.test(message)
+  );
+}
+
+// Public RPCs cap eth_getLogs by range or result count; halve the range until it fits.
+// Any other failure is thrown as is, so the checkpoint stays before this chunk.
+async function getTradeLogs(provider, address, fromBlock, toBlock) {
+  try {
+    return await provider.getLogs({ address, topics: [TRADE_TOPIC], fromBlock, toBlock });
+  } catch (e) {
+    if (toBlock <= fromBlock || !isLogLimitError(e)) throw e;
+    const middle = fromBlock + Math.floor((toBlock - fromBlock) / 2);
+    const first = await getTradeLogs(provider, address, fromBlock, middle);
+    return first.concat(await getTradeLogs(provider, address, middle + 1, toBlock));
+  }
+}
+
+/**
+ * Index Trade events from the checkpoint (or fromBlock on the first run) up to toBlock.
+ * Each chunk is appended to the store before the checkpoint moves past it.
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - Required for the first sync (e.g. the contract's deployment block)
+ * @param {number} [options.toBlock] - Default: head minus finality blocks
+ * @param {number} [options.chunkSize=2000] - Blocks per eth_getLogs request
+ * @param {boolean} [options.reset] - Delete the store and checkpoint first
+ * @param {Function} [options.onChunk] - Called with {fromBlock, toBlock, trades} after each chunk
+ * @returns {Promise<{fromBlock: number, toBlock: number, trades: number}>}
+ */
+export async function syncTrades({ fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_BLOCKS, reset = false, onChunk } = {}) {
+  const provider = await getProvider();
+  const address = getContractAddress();
+  const storePath = getTradeIndexPath();
+  const stateKey = getNetworkStateKey(INDEX_KEY);
+
+  if (reset) {
+    if (fs.existsSync(storePath)) fs.unlinkSync(storePath);
+    updateState({ [stateKey]: null });
+  }
+  let checkpoint = getIndexCheckpoint();
+  if (checkpoint && checkpoint.contract !== address) {
+    throw new Error(`Index was built from ${checkpoint.contract}, not ${address} - run sync --reset --from <block>`);
+  }
+  if (checkpoint && fromBlock != null && fromBlock !== checkpoint.lastBlock + 1) {
+    warning(`Resuming from checkpoint block ${checkpoint.lastBlock + 1}; --from ${fromBlock} ignored (use --reset to rebuild)`);
+  }
+  const start = checkpoint ? checkpoint.lastBlock + 1 : fromBlock;
+  if (start == null) {
+    throw new Error('First sync needs --from <block> (e.g. the block the ClawFriend contract was deployed in)');
+  }
+  const end = toBlock ?? (await provider.getBlockNumber()) - DEFAULT_FINALITY_BLOCKS;
+  if (start > end) {
+    return { fromBlock: start, toBlock: end, trades: 0 };
+  }
+
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  let total = 0;
+  for (let from = start; from <= end; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, end);
+    const logs = await getTradeLogs(provider, address, from, to);
+    const trades = logs.filter((log) => !log.removed).map(toIndexedTrade);
+    const timestamps = await getBlockTimestamps(provider, trades.map((t) => t.block));
+    trades.forEach((t) => (t.timestamp = timestamps.get(t.block)));
+    if (trades.length > 0) {
+      fs.appendFileSync(storePath, trades.map((t) => JSON.stringify(t)).join('\n') + '\n');
+    }
+    total += trades.length;
+    checkpoint = {
+      contract: address,
+      startBlock: checkpoint?.startBlock ?? start,
+      lastBlock: to,
+      trades: (checkpoint?.trades ?? 0) + trades.length,
+      updatedAt: new Date().toISOString()
+    };
+    updateState({ [stateKey]: checkpoint });
+    onChunk?.({ fromBlock: from, toBlock: to, trades: trades.length });
+  }
+  return { fromBlock: start, toBlock: end, trades: total };
+}
+
+/**
+ * Read indexed trades in block order. A chunk re-appended after a crash (before its
+ * checkpoint was saved) is deduplicated by tx hash + log index.
+ * @param {{subject?: string, trader?: string, since?: number}} [filter] - since: unix seconds
+ * @returns {Promise<IndexedTrade[]>}
+ */
+export async function readIndexedTrades({ subject, trader, since } = {}) {
+  const storePath = getTradeIndexPath();
+  if (!fs.existsSync(storePath)) return [];
+  const subjectLc = subject?.toLowerCase();
+  const traderLc = trader?.toLowerCase();
+  const seen = new Set();
+  const trades = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(storePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const t = JSON.parse(line);
+    if (subjectLc && t.subject.toLowerCase() !== subjectLc) continue;
+    if (traderLc && t.trader.toLowerCase() !== traderLc) continue;
+    if (since != null && t.timestamp < since) continue;
+    const id = `${t.tx}:${t.logIndex}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    trades.push(t);
+  }
+  return trades.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+/**
+ * Bucket a subject's trades into OHLC candles of the average price per share (wei)
+ * @param {IndexedTrade[]} trades - One subject's trades in block order
+ * @param {string} [interval='1d'] - 1h, 4h, 1d or 1w
+ * @returns {Array<{start: number, open: bigint, high: bigint, low: bigint, close: bigint, volume: bigint, shares: bigint, trades: number}>}
+ */
+export function getPriceHistory(trades, interval = '1d') {
+  const seconds = INTERVALS[interval];
+  if (!seconds) {
+    throw new Error(`Interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  const candles = [];
+  for (const t of trades) {
+    const start = t.timestamp - (t.timestamp % seconds);
+    const perShare = BigInt(t.price) / BigInt(t.amount);
+    let candle = candles[candles.length - 1];
+    if (!candle || candle.start !== start) {
+      candle = { start, open: perShare, high: perShare, low: perShare, close: perShare, volume: 0n, shares: 0n, trades: 0 };
+      candles.push(candle);
+    }
+    if (perShare > candle.high) candle.high = perShare;
+    if (perShare < candle.low) candle.low = perShare;
+    candle.close = perShare;
+    candle.volume += BigInt(t.price);
+    candle.shares += BigInt(t.amount);
+    candle.trades += 1;
+  }
+  return candles;
+}
+
+/**
+ * Volume per subject, largest first
+ * @param {IndexedTrade[]} trades
+ * @returns {Array<{subject: string, trades: number, buys: number, sells: number, sharesBought: bigint, sharesSold: bigint, volume: bigint, fees: bigint}>}
+ */
+export function getVolumeBySubject(trades) {
+  const bySubject = new Map();
+  for (const t of trades) {
+    const key = t.subject.toLowerCase();
+    if (!bySubject.has(key)) {
+      bySubject.set(key, { subject: t.subject, trades: 0, buys: 0, sells: 0, sharesBought: 0n, sharesSold: 0n, volume: 0n, fees: 0n });
+    }
+    const v = bySubject.get(key);
+    v.trades += 1;
+    if (t.side === 'buy') {
+      v.buys += 1;
+      v.sharesBought += BigInt(t.amount);
+    } else {
+      v.sells += 1;
+      v.sharesSold += BigInt(t.amount);
+    }
+    v.volume += BigInt(t.price);
+    v.fees += BigInt(t.protocolFee) + BigInt(t.subjectFee);
+  }
+  return [...bySubject.values()].sort((a, b) => (b.volume > a.volume ? 1 : b.volume < a.volume ? -1 : 0));
+}
+
+/**
+ * Traders ranked by volume, with net shares and net BNB flow (negative = spent)
+ * @param {IndexedTrade[]} trades
+ * @param {number} [limit=10]
+ * @returns {Array<{trader: string, trades: number, volume: bigint, netShares: bigint, netBnb: bigint}>}
+ */
+export function getTopTraders(trades, limit = 10) {
+  const byTrader = new Map();
+  for (const t of trades) {
+    const key = t.trader.toLowerCase();
+    if (!byTrader.has(key)) {
+      byTrader.set(key, { trader: t.trader, trades: 0, volume: 0n, netShares: 0n, netBnb: 0n });
+    }
+    const v = byTrader.get(key);
+    const price = BigInt(t.price);
+    const fees = BigInt(t.protocolFee) + BigInt(t.subjectFee);
+    v.trades += 1;
+    v.volume += price;
+    if (t.side === 'buy') {
+      v.netShares += BigInt(t.amount);
+      v.netBnb -= price + fees;
+    } else {
+      v.netShares -= BigInt(t.amount);
+      v.netBnb += price - fees;
+    }
+  }
+  return [...byTrader.values()]
+    .sort((a, b) => (b.volume > a.volume ? 1 : b.volume < a.volume ? -1 : 0))
+    .slice(0, limit);
+}
+
+const VALUE_FLAGS = ['from', 'to', 'chunk', 'interval', 'limit', 'days', 'network'];
+
+function parseIntFlag(value, name, min = 0) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`--${name} must be an integer >= ${min}`);
+  }
+  return n;
+}
+
+function parseSince(flags) {
+  const days = flags.days != null ? Number(flags.days) : null;
+  if (days == null) return undefined;
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error('--days must be a positive number');
+  }
+  return Math.floor(Date.now() / 1000 - days * 86400);
+}
+
+function parseSubjectArg(value) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error('subject must be a valid EVM address');
+  }
+  return ethers.getAddress(value);
+}
+
+const bnb = (wei) => `${ethers.formatEther(wei)} BNB`;
+
+function usage() {
+  console.log('ClawFriend Trade Indexer\n');
+  console.log('Usage:');
+  console.log('  node trade-indexer.js sync [--from <block>] [--to <block>] [--chunk <blocks>] [--reset]');
+  console.log('                                              - Index Trade events (resumes from the checkpoint)');
+  console.log('  node trade-indexer.js status                - Checkpoint and store location');
+  console.log('  node trade-indexer.js history <subject> [--interval 1h|4h|1d|1w] [--days <n>]');
+  console.log('                                              - Price per share (OHLC) and volume over time');
+  console.log('  node trade-indexer.js volume [subject] [--days <n>] [--limit <n>]');
+  console.log('                                              - Volume, trades and fees per subject');
+  console.log('  node trade-indexer.js traders [subject] [--days <n>] [--limit <n>]');
+  console.log('                                              - Top traders by volume with net shares and BNB');
+  console.log('\n  --network <name> = network profile (default CLAWFRIEND_NETWORK or mainnet)');
+}
+
+async function main() {
+  try {
+    const { positional: args, flags } = parseArgs(process.argv.slice(2), VALUE_FLAGS);
+    if (flags.network) setNetwork(flags.network);
+    const command = args[0];
+
+    switch (command) {
+      case 'sync': {
+        info(`Indexing Trade events on ${getNetwork().name}...`);
+        const result = await syncTrades({
+          fromBlock: parseIntFlag(flags.from, 'from'),
+          toBlock: parseIntFlag(flags.to, 'to'),
+          chunkSize: parseIntFlag(flags.chunk, 'chunk', 1) ?? DEFAULT_CHUNK_BLOCKS,
+          reset: flags.reset === true,
+          onChunk: ({ fromBlock, toBlock, trades }) => info(`  Blocks ${fromBlock}-${toBlock}: ${trades} trade(s)`)
+        });
+        if (result.fromBlock > result.toBlock) {
+          success(`Index is up to date (block ${result.toBlock})`);
+        } else {
+          success(`Indexed ${result.trades} trade(s) in blocks ${result.fromBlock}-${result.toBlock}`);
+        }
+        break;
+      }
+
+      case 'status': {
+        const checkpoint = getIndexCheckpoint();
+        info(`Store: ${getTradeIndexPath()}`);
+        if (!checkpoint) {
+          warning('Nothing indexed yet - run: node trade-indexer.js sync --from <block>');
+          break;
+        }
+        info(`Contract: ${checkpoint.contract}`);
+        info(`Blocks: ${checkpoint.startBlock} - ${checkpoint.lastBlock}`);
+        info(`Trades: ${checkpoint.trades}`);
+        info(`Updated: ${checkpoint.updatedAt}`);
+        break;
+      }
+
+      case 'history': {
+        const subject = parseSubjectArg(args[1]);
+        const trades = await readIndexedTrades({ subject, since: parseSince(flags) });
+        const candles = getPriceHistory(trades, flags.interval ?? '1d');
+        if (candles.length === 0) {
+          info(`No indexed trades for ${subject}`);
+          break;
+        }
+        console.log('Start (UTC)           Open          High          Low           Close         Volume        Trades');
+        for (const c of candles) {
+          const cols = [c.open, c.high, c.low, c.close, c.volume].map((w) => ethers.formatEther(w).padEnd(13));
+          console.log(`${new Date(c.start * 1000).toISOString().slice(0, 16).padEnd(21)} ${cols.join(' ')} ${c.trades}`);
+        }
+        info('Prices are average BNB per share before fees');
+        break;
+      }
+
+      case 'volume': {
+        const subject = args[1] ? parseSubjectArg(args[1]) : undefined;
+        const rows = getVolumeBySubject(await readIndexedTrades({ subject, since: parseSince(flags) })).slice(
+          0,
+          parseIntFlag(flags.limit, 'limit', 1) ?? 20
+        );
+        if (rows.length === 0) {
+          info('No indexed trades');
+          break;
+        }
+        for (const v of rows) {
+          console.log(
+            `${v.subject}  ${bnb(v.volume).padEnd(26)} ${String(v.trades).padStart(6)} trades (${v.buys} buys / ${v.sells} sells)  shares +${v.sharesBought}/-${v.sharesSold}  fees ${bnb(v.fees)}`
+          );
+        }
+        break;
+      }
+
+      case 'traders': {
+        const subject = args[1] ? parseSubjectArg(args[1]) : undefined;
+        const rows = getTopTraders(
+          await readIndexedTrades({ subject, since: parseSince(flags) }),
+          parseIntFlag(flags.limit, 'limit', 1) ?? 10
+        );
+        if (rows.length === 0) {
+          info('No indexed trades');
+          break;
+        }
+        for (const t of rows) {
+          const net = t.netBnb >= 0n ? `+${bnb(t.netBnb)}` : `-${bnb(-t.netBnb)}`;
+          console.log(
+            `${t.trader}  ${bnb(t.volume).padEnd(26)} ${String(t.trades).padStart(6)} trades  net shares ${t.netShares}  net ${net}`
+          );
+        }
+        break;
+      }
+
+      default:
+        usage();
+    }
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
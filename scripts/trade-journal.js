@@ -0,0 +1,144 @@
+/**
+ * Trade journal for ClawFriend share trades
+ * Stores executed trades in the ClawFriend workspace state (TRADE_JOURNAL)
+ * and computes realized/unrealized P&L per subject (average cost method).
+ */
+
+import { ethers } from 'ethers';
+import { getState, updateState, getNetworkStateKey } from './utils.js';
+
+const JOURNAL_KEY = 'TRADE_JOURNAL';
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} hash - Transaction hash
+ * @property {string} timestamp - ISO 8601 time of the block the trade was mined in
+ * @property {string} trader - Wallet that traded
+ * @property {string} subject - Shares subject address
+ * @property {'buy'|'sell'} side
+ * @property {string} amount - Number of shares
+ * @property {string} bnb - Wei paid (buy, incl. fees) or received (sell, after fees)
+ * @property {string} price - Wei price before fees
+ * @property {string} protocolFee - Wei protocol fee
+ * @property {string} subjectFee - Wei subject fee
+ * @property {number} blockNumber
+ */
+
+/**
+ * Get all journal entries, oldest first
+ * @returns {JournalEntry[]}
+ */
+export function getJournal() {
+  const journal = getState(getNetworkStateKey(JOURNAL_KEY), []);
+  return Array.isArray(journal) ? journal : [];
+}
+
+/**
+ * Record a decoded Trade event (see parseTradeEvents in buy-sell-shares.js)
+ * Entries are keyed by tx hash + subject + side so re-recording is a no-op.
+ * @param {string} hash - Transaction hash
+ * @param {Object} trade - Decoded Trade event
+ * @param {number} blockNumber
+ * @param {number} blockTimestamp - Unix seconds of the block
+ * @returns {JournalEntry}
+ */
+export function recordTrade(hash, trade, blockNumber, blockTimestamp) {
+  const fees = trade.protocolEthAmount + trade.subjectEthAmount;
+  const entry = {
+    hash,
+    timestamp: new Date(blockTimestamp * 1000).toISOString(),
+    trader: trade.trader,
+    subject: trade.subject,
+    side: trade.isBuy ? 'buy' : 'sell',
+    amount: trade.shareAmount.toString(),
+    bnb: (trade.isBuy ? trade.ethAmount + fees : trade.ethAmount - fees).toString(),
+    price: trade.ethAmount.toString(),
+    protocolFee: trade.protocolEthAmount.toString(),
+    subjectFee: trade.subjectEthAmount.toString(),
+    blockNumber
+  };
+
+  const journal = getJournal();
+  const exists = journal.some(
+    (e) => e.hash === entry.hash && e.subject === entry.subject && e.side === entry.side
+  );
+  if (!exists) {
+    journal.push(entry);
+    updateState({ [getNetworkStateKey(JOURNAL_KEY)]: journal });
+  }
+  return entry;
+}
+
+/**
+ * Compute positions and realized P&L per subject using average cost
+ * @param {JournalEntry[]} entries
+ * @returns {Map<string, {subject: string, shares: bigint, costBasis: bigint, realized: bigint, bought: bigint, sold: bigint, fees: bigint, trades: number}>}
+ */
+export function computePositions(entries) {
+  const positions = new Map();
+  for (const e of entries) {
+    const key = e.subject.toLowerCase();
+    if (!positions.has(key)) {
+      positions.set(key, {
+        subject: e.subject,
+        shares: 0n,
+        costBasis: 0n,
+        realized: 0n,
+        bought: 0n,
+        sold: 0n,
+        fees: 0n,
+        trades: 0
+      });
+    }
+    const p = positions.get(key);
+    const amount = BigInt(e.amount);
+    const bnb = BigInt(e.bnb);
+    p.trades += 1;
+    p.fees += BigInt(e.protocolFee) + BigInt(e.subjectFee);
+    if (e.side === 'buy') {
+      p.shares += amount;
+      p.costBasis += bnb;
+      p.bought += bnb;
+    } else {
+      // Shares sold that were bought before the journal existed have no known cost
+      const covered = amount < p.shares ? amount : p.shares;
+      const removedCost = p.shares > 0n ? (p.costBasis * covered) / p.shares : 0n;
+      p.realized += bnb - removedCost;
+      p.costBasis -= removedCost;
+      p.shares -= covered;
+      p.sold += bnb;
+    }
+  }
+  return positions;
+}
+
+/**
+ * Render entries as CSV (BNB amounts in ether units)
+ * @param {JournalEntry[]} entries
+ * @returns {string}
+ */
+export function journalToCsv(entries) {
+  const header = [
+    'timestamp',
+    'hash',
+    'subject',
+    'side',
+    'amount',
+    'bnb',
+    'price_bnb',
+    'protocol_fee_bnb',
+    'subject_fee_bnb'
+  ];
+  const rows = entries.map((e) => [
+    e.timestamp,
+    e.hash,
+    e.subject,
+    e.side,
+    e.amount,
+    ethers.formatEther(e.bnb),
+    ethers.formatEther(e.price),
+    ethers.formatEther(e.protocolFee),
+    ethers.formatEther(e.subjectFee)
+  ]);
+  return [header, ...rows].map((r) => r.join(',')).join('\n');
+}
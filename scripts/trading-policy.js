@@ -0,0 +1,162 @@
+/**
+ * Trading policy - hard spending guardrails for autonomous trading
+ * Stored in openclaw.json under skills.entries.clawfriend.tradingPolicy and
+ * enforced by buy-sell-shares.js before every buy/sell (including batch and dry-run).
+ *
+ * Spend and trade-rate history comes from the local trade journal.
+ */
+
+import { ethers } from 'ethers';
+import { getClawFriendConfig, updateClawFriendConfig } from './utils.js';
+import { getJournal } from './trade-journal.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * @typedef {Object} TradingPolicy
+ * @property {boolean} [killSwitch] - Refuse every trade
+ * @property {string} [dailySpendCapBnb] - Max BNB spent on buys in any 24h window
+ * @property {string} [weeklySpendCapBnb] - Max BNB spent on buys in any 7d window
+ * @property {number} [maxSharesPerSubject] - Max shares held of a single subject after a buy
+ * @property {number} [maxTradesPerHour] - Max executed trades (buy + sell) in any 1h window
+ * @property {string[]} [allowlist] - If non-empty, only these subjects may be traded
+ * @property {string[]} [denylist] - Subjects that may never be traded
+ */
+
+/**
+ * Trade refused by the trading policy
+ */
+export class PolicyViolationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PolicyViolationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Get the configured trading policy ({} when none is set)
+ * @returns {TradingPolicy}
+ */
+export function getTradingPolicy() {
+  return getClawFriendConfig().tradingPolicy || {};
+}
+
+/**
+ * Engage the kill switch. Only tightens the policy; lifting it is a manual config edit.
+ */
+export function engageKillSwitch() {
+  updateClawFriendConfig({ tradingPolicy: { ...getTradingPolicy(), killSwitch: true } });
+}
+
+function parseCap(value, name) {
+  if (value == null) return null;
+  try {
+    return ethers.parseEther(String(value));
+  } catch (e) {
+    // Fail closed: a broken policy must not silently allow trading
+    throw new PolicyViolationError('INVALID_POLICY', `tradingPolicy.${name} is not a BNB amount: ${value}`);
+  }
+}
+
+function spentSince(journal, since) {
+  return journal
+    .filter((e) => e.side === 'buy' && Date.parse(e.timestamp) >= since)
+    .reduce((sum, e) => sum + BigInt(e.bnb), 0n);
+}
+
+/**
+ * Journal usage counted against the policy windows
+ * @param {Array<Object>} [journal]
+ * @param {number} [now]
+ * @returns {{tradesLastHour: number, spent24h: bigint, spent7d: bigint}}
+ */
+export function getPolicyUsage(journal = getJournal(), now = Date.now()) {
+  return {
+    tradesLastHour: journal.filter((e) => Date.parse(e.timestamp) >= now - HOUR_MS).length,
+    spent24h: spentSince(journal, now - DAY_MS),
+    spent7d: spentSince(journal, now - WEEK_MS)
+  };
+}
+
+/**
+ * Checks that need no pricing: kill switch and subject allow/deny lists.
+ * Run before any quote so a blocked trade makes no API/RPC calls.
+ * @param {string} subject
+ * @param {TradingPolicy} [policy]
+ * @throws {PolicyViolationError}
+ */
+export function checkPolicyGates(subject, policy = getTradingPolicy()) {
+  const sub = subject.toLowerCase();
+  if (policy.killSwitch) {
+    throw new PolicyViolationError('KILL_SWITCH', 'Trading is disabled by the kill switch (tradingPolicy.killSwitch)');
+  }
+  const denylist = (policy.denylist || []).map((a) => a.toLowerCase());
+  if (denylist.includes(sub)) {
+    throw new PolicyViolationError('SUBJECT_DENIED', `Subject ${subject} is on the denylist`);
+  }
+  const allowlist = (policy.allowlist || []).map((a) => a.toLowerCase());
+  if (allowlist.length > 0 && !allowlist.includes(sub)) {
+    throw new PolicyViolationError('SUBJECT_NOT_ALLOWED', `Subject ${subject} is not on the allowlist`);
+  }
+}
+
+/**
+ * Check a trade against the policy
+ * @param {Object} trade
+ * @param {'buy'|'sell'} trade.side
+ * @param {string} trade.subject
+ * @param {bigint} trade.amount - Shares
+ * @param {bigint} trade.value - BNB (wei) this trade spends; 0 for sells
+ * @param {bigint|null} [trade.balance] - Current shares held of subject (needed for maxSharesPerSubject)
+ * @param {Object} [context]
+ * @param {TradingPolicy} [context.policy]
+ * @param {Array<Object>} [context.journal]
+ * @param {number} [context.now]
+ * @throws {PolicyViolationError}
+ */
+export function checkTradingPolicy(
+  { side, subject, amount, value, balance = null },
+  { policy = getTradingPolicy(), journal = getJournal(), now = Date.now() } = {}
+) {
+  const fail = (code, message) => {
+    throw new PolicyViolationError(code, message);
+  };
+  const fmt = (wei) => ethers.formatEther(wei);
+
+  checkPolicyGates(subject, policy);
+
+  if (policy.maxTradesPerHour != null) {
+    const recent = journal.filter((e) => Date.parse(e.timestamp) >= now - HOUR_MS).length;
+    if (recent >= policy.maxTradesPerHour) {
+      fail('TRADE_RATE_LIMIT', `${recent} trade(s) in the last hour (max ${policy.maxTradesPerHour})`);
+    }
+  }
+
+  if (side !== 'buy') return;
+
+  const caps = [
+    ['dailySpendCapBnb', DAY_MS, 'DAILY_SPEND_CAP', '24h'],
+    ['weeklySpendCapBnb', WEEK_MS, 'WEEKLY_SPEND_CAP', '7d']
+  ];
+  for (const [key, windowMs, code, label] of caps) {
+    const cap = parseCap(policy[key], key);
+    if (cap == null) continue;
+    const spent = spentSince(journal, now - windowMs);
+    if (spent + value > cap) {
+      fail(code, `Spend would reach ${fmt(spent + value)} BNB in ${label} (cap ${fmt(cap)} BNB, already spent ${fmt(spent)} BNB)`);
+    }
+  }
+
+  if (policy.maxSharesPerSubject != null) {
+    if (balance == null) {
+      fail('INVALID_POLICY', 'Current balance is required to enforce maxSharesPerSubject');
+    }
+    const max = BigInt(policy.maxSharesPerSubject);
+    if (balance + amount > max) {
+      fail('POSITION_LIMIT', `Position would be ${balance + amount} share(s) of ${subject} (max ${max})`);
+    }
+  }
+}
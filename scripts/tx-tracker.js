@@ -0,0 +1,110 @@
+/**
+ * Broadcast transaction tracking for ClawFriend trades
+ * Every transaction sent by buy-sell-shares.js is saved with its nonce and gas settings
+ * in the ClawFriend workspace state (TRACKED_TXS, per network) so a stuck trade can be
+ * inspected, sped up or cancelled, and new trades can refuse to run while one is pending.
+ */
+
+import { getState, updateState, getNetworkStateKey } from './utils.js';
+
+const TXS_KEY = 'TRACKED_TXS';
+// Settled entries kept for `tx status`/`tx list`; pending ones are never dropped
+const MAX_SETTLED = 200;
+
+/**
+ * @typedef {Object} TrackedTx
+ * @property {string} hash
+ * @property {string} from
+ * @property {number} nonce
+ * @property {string} to
+ * @property {string} data
+ * @property {string} value - Wei
+ * @property {string} gasLimit
+ * @property {string} gasPrice - Wei
+ * @property {'trade'|'transfer'|'speedup'|'cancel'} kind
+ * @property {'trade'|'transfer'} [baseKind] - Kind of the original transaction a speedup/cancel chain
+ *   started from (missing on records tracked before it was added)
+ * @property {string} label - Human-readable description (e.g. decoded call)
+ * @property {'pending'|'confirmed'|'reverted'|'replaced'|'dropped'} status
+ * @property {string} sentAt - ISO 8601
+ * @property {string} [replaces] - Hash of the transaction this one replaces (speedup/cancel)
+ * @property {string} [replacedBy] - Hash of the transaction that took this nonce
+ * @property {number} [blockNumber]
+ */
+
+/**
+ * Get all tracked transactions, oldest first
+ * @returns {TrackedTx[]}
+ */
+export function getTrackedTxs() {
+  const txs = getState(getNetworkStateKey(TXS_KEY), []);
+  return Array.isArray(txs) ? txs : [];
+}
+
+function saveTrackedTxs(txs) {
+  const settled = txs.filter((t) => t.status !== 'pending');
+  const drop = new Set(settled.slice(0, Math.max(0, settled.length - MAX_SETTLED)));
+  updateState({ [getNetworkStateKey(TXS_KEY)]: txs.filter((t) => !drop.has(t)) });
+}
+
+/**
+ * @param {string} hash
+ * @returns {TrackedTx|undefined}
+ */
+export function findTrackedTx(hash) {
+  return getTrackedTxs().find((t) => t.hash.toLowerCase() === hash.toLowerCase());
+}
+
+/**
+ * Pending transactions, optionally only those sent from one address
+ * @param {string} [from]
+ * @returns {TrackedTx[]}
+ */
+export function getPendingTxs(from) {
+  return getTrackedTxs().filter(
+    (t) => t.status === 'pending' && (!from || t.from.toLowerCase() === from.toLowerCase())
+  );
+}
+
+/**
+ * Save a just-broadcast transaction as pending
+ * @param {import('ethers').TransactionResponse} tx
+ * @param {{kind?: string, baseKind?: string, label?: string, replaces?: string}} [meta] - baseKind
+ *   defaults to kind
+ * @returns {TrackedTx}
+ */
+export function trackTx(tx, { kind = 'trade', baseKind = kind, label = '', replaces } = {}) {
+  const record = {
+    hash: tx.hash,
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value.toString(),
+    gasLimit: tx.gasLimit.toString(),
+    gasPrice: (tx.gasPrice ?? tx.maxFeePerGas ?? 0n).toString(),
+    kind,
+    baseKind,
+    label,
+    status: 'pending',
+    sentAt: new Date().toISOString()
+  };
+  if (replaces) record.replaces = replaces;
+  saveTrackedTxs([...getTrackedTxs().filter((t) => t.hash !== tx.hash), record]);
+  return record;
+}
+
+/**
+ * Merge fields into a tracked transaction (no-op if it is not tracked)
+ * @param {string} hash
+ * @param {Partial<TrackedTx>} patch
+ * @returns {TrackedTx|undefined}
+ */
+export function updateTrackedTx(hash, patch) {
+  const txs = getTrackedTxs();
+  const record = txs.find((t) => t.hash.toLowerCase() === hash.toLowerCase());
+  if (!record) return undefined;
+  Object.assign(record, patch);
+  saveTrackedTxs(txs);
+  return record;
+}
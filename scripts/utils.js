@@ -145,11 +145,96 @@ export function getEnv(key, defaultValue = null) {
   return config.env?.[key] || defaultValue;
 }
 
+const DEFAULT_API_DOMAIN = 'https://api.clawfriend.ai';
+const MAINNET_CONTRACT_ADDRESS = '0xCe9aA37146Bd75B5312511c410d3F7FeC2E7f364';
+
+/**
+ * Built-in network profiles. Config entries under skills.entries.clawfriend.networks.<name>
+ * extend these or add new ones; mainnet's chain id and contract address cannot be overridden.
+ */
+const BUILTIN_NETWORKS = {
+  mainnet: {
+    name: 'BNB',
+    chainId: 56,
+    rpcUrls: ['https://bsc-dataseed.binance.org'],
+    contractAddress: MAINNET_CONTRACT_ADDRESS,
+    explorerUrl: 'https://bscscan.com'
+  },
+  testnet: {
+    name: 'BNB Testnet',
+    chainId: 97,
+    rpcUrls: ['https://data-seed-prebsc-1-s1.bnbchain.org:8545'],
+    explorerUrl: 'https://testnet.bscscan.com'
+  },
+  local: {
+    name: 'Local fork',
+    chainId: 56,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    contractAddress: MAINNET_CONTRACT_ADDRESS
+  }
+};
+
+let _selectedNetwork = null;
+
+/**
+ * Select the network profile for this process (e.g. from a --network flag).
+ * Without it, CLAWFRIEND_NETWORK (process env or config env) decides, defaulting to mainnet.
+ */
+export function setNetwork(name) {
+  _selectedNetwork = name;
+  getNetwork();
+}
+
+/**
+ * Resolve the active network profile
+ * @returns {{id: string, name: string, chainId: number, rpcUrls: string[], contractAddress: string|null, apiDomain: string, explorerUrl: string|null}}
+ */
+export function getNetwork() {
+  const id = _selectedNetwork || getEnv('CLAWFRIEND_NETWORK', 'mainnet');
+  const custom = getClawFriendConfig().networks?.[id];
+  const builtin = BUILTIN_NETWORKS[id];
+  if (!builtin && !custom) {
+    const known = [...new Set([...Object.keys(BUILTIN_NETWORKS), ...Object.keys(getClawFriendConfig().networks || {})])];
+    throw new Error(`Unknown network "${id}" (available: ${known.join(', ')})`);
+  }
+
+  const profile = { id, name: id, contractAddress: null, explorerUrl: null, ...builtin, ...custom };
+  if (id === 'mainnet') {
+    // Legacy single-network settings keep working for mainnet
+    profile.chainId = BUILTIN_NETWORKS.mainnet.chainId;
+    profile.contractAddress = MAINNET_CONTRACT_ADDRESS;
+    const rpc = getEnv('EVM_RPC_URLS') || getEnv('EVM_RPC_URL');
+    if (rpc) profile.rpcUrls = rpc;
+  }
+  profile.rpcUrls = (Array.isArray(profile.rpcUrls) ? profile.rpcUrls : String(profile.rpcUrls || '').split(','))
+    .map((url) => url.trim())
+    .filter(Boolean);
+  profile.apiDomain = profile.apiDomain || getEnv('API_DOMAIN', DEFAULT_API_DOMAIN);
+
+  profile.chainId = Number(profile.chainId);
+  if (!Number.isInteger(profile.chainId) || profile.chainId <= 0) {
+    throw new Error(`Network "${id}" needs a chainId`);
+  }
+  if (profile.rpcUrls.length === 0) {
+    throw new Error(`Network "${id}" needs at least one RPC URL (rpcUrls)`);
+  }
+  return profile;
+}
+
+/**
+ * State key scoped to the active network, so testnet/fork trades never mix with
+ * mainnet journal, orders or fee cache. Mainnet keeps the plain key.
+ */
+export function getNetworkStateKey(key) {
+  const { id } = getNetwork();
+  return id === 'mainnet' ? key : `${key}@${id}`;
+}
+
 /**
- * Get API base URL
+ * Get API base URL (from the active network profile)
  */
 export function getApiBaseUrl() {
-  return getEnv('API_DOMAIN', 'https://api.clawfriend.ai');
+  return getNetwork().apiDomain;
 }
 
 /**
@@ -242,6 +327,35 @@ export function prettyJson(obj) {
   return JSON.stringify(obj, null, 2);
 }
 
+/**
+ * Split argv into positional args and --flags (value flags consume the next arg)
+ * @param {string[]} argv - Arguments after the script name
+ * @param {string[]} [valueFlags=[]] - Flags that take a value (--flag v or --flag=v); others are booleans
+ * @returns {{positional: string[], flags: Object<string, string|boolean>}}
+ */
+export function parseArgs(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split('=', 2);
+    if (valueFlags.includes(key)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        throw new Error(`--${key} requires a value`);
+      }
+      flags[key] = value;
+    } else {
+      flags[key] = true;
+    }
+  }
+  return { positional, flags };
+}
+
 /**
  * Check if agent is registered (has API key)
  * @param {boolean} showError - Whether to show error message
@@ -8,57 +8,655 @@
 import { checkDependencies } from './check-dependencies.js';
 checkDependencies(['ethers']);
 
+import fs from 'fs';
+import path from 'path';
 import { ethers } from 'ethers';
 import {
   getClawFriendConfig,
   updateClawFriendConfig,
+  getConfigPath,
   getEnv,
+  getState,
+  updateState,
+  getNetwork,
+  setNetwork,
   success,
   error,
   warning,
   info
 } from './utils.js';
+import { getProvider } from './provider.js';
 
 /**
- * Check if wallet exists in config
+ * Check if wallet exists in config (plaintext key or keystore)
  */
 export function hasWallet() {
-  const privateKey = getEnv('EVM_PRIVATE_KEY');
   const address = getEnv('EVM_ADDRESS');
-  return !!(privateKey && address);
+  return !!(address && (getEnv('EVM_PRIVATE_KEY') || getKeystorePath()));
+}
+
+/**
+ * Path of the encrypted JSON keystore holding the private key, if the wallet uses one
+ * @returns {string|null}
+ */
+export function getKeystorePath() {
+  return getEnv('EVM_KEYSTORE_PATH');
+}
+
+/**
+ * Default keystore location for an address: ~/.openclaw/keystore/clawfriend-<address>.json
+ */
+function defaultKeystorePath(address) {
+  return path.join(path.dirname(getConfigPath()), 'keystore', `clawfriend-${address.toLowerCase()}.json`);
+}
+
+/**
+ * Whether a keystore passphrase source is configured
+ */
+export function hasKeystorePassword() {
+  return !!(process.env.EVM_KEYSTORE_PASSWORD || getEnv('EVM_KEYSTORE_PASSWORD_FILE'));
+}
+
+/**
+ * Keystore passphrase. Read from the EVM_KEYSTORE_PASSWORD shell env var only (never from
+ * openclaw.json, which would put it next to the keystore path), else from the file named
+ * by EVM_KEYSTORE_PASSWORD_FILE (shell env or config), e.g. a chmod 600 keyring file.
+ */
+export function getKeystorePassword() {
+  if (process.env.EVM_KEYSTORE_PASSWORD) return process.env.EVM_KEYSTORE_PASSWORD;
+  const passwordFile = getEnv('EVM_KEYSTORE_PASSWORD_FILE');
+  if (!passwordFile) {
+    throw new Error('Keystore passphrase not set: export EVM_KEYSTORE_PASSWORD or set EVM_KEYSTORE_PASSWORD_FILE');
+  }
+  if (!fs.existsSync(passwordFile)) {
+    throw new Error(`Keystore passphrase file not found: ${passwordFile}`);
+  }
+  // A trailing newline from `echo` is not part of the passphrase
+  const password = fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  if (!password) throw new Error(`Keystore passphrase file is empty: ${passwordFile}`);
+  return password;
+}
+
+/**
+ * Decrypt a keystore file and check it holds the expected wallet
+ * @param {string} keystorePath
+ * @param {string} password
+ * @param {string|null} [expectedAddress] - Defaults to EVM_ADDRESS
+ * @returns {ethers.Wallet}
+ */
+export function readKeystore(keystorePath, password, expectedAddress = getEnv('EVM_ADDRESS')) {
+  if (!fs.existsSync(keystorePath)) {
+    throw new Error(`Keystore not found: ${keystorePath}`);
+  }
+  const json = fs.readFileSync(keystorePath, 'utf8');
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`Not a JSON keystore: ${keystorePath}`);
+  }
+  let decrypted;
+  try {
+    decrypted = ethers.Wallet.fromEncryptedJsonSync(json, password);
+  } catch (e) {
+    throw new Error(`Cannot unlock keystore ${keystorePath}: ${e.shortMessage || e.message}`);
+  }
+  const wallet = new ethers.Wallet(decrypted.privateKey);
+  if (expectedAddress && wallet.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+    throw new Error(`Keystore ${keystorePath} holds ${wallet.address}, expected ${expectedAddress}`);
+  }
+  return wallet;
 }
 
 /**
- * Get wallet from config
+ * Encrypt a wallet's private key to a scrypt JSON keystore file (owner read/write only).
+ * Only the key is written: an HD wallet's mnemonic is left out of the keystore.
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet
+ * @param {string} password
+ * @param {string} [keystorePath]
+ * @returns {string} The keystore path
+ */
+export function writeKeystore(wallet, password, keystorePath = defaultKeystorePath(wallet.address)) {
+  if (password.length < 8) {
+    throw new Error('Keystore passphrase must be at least 8 characters');
+  }
+  fs.mkdirSync(path.dirname(keystorePath), { recursive: true, mode: 0o700 });
+  const json = new ethers.Wallet(wallet.privateKey).encryptSync(password);
+  fs.writeFileSync(keystorePath, json, { mode: 0o600 });
+  return keystorePath;
+}
+
+// Decrypting costs a second or two of scrypt, so do it once per process
+let _unlocked = null;
+
+/**
+ * Get wallet from config: the plaintext EVM_PRIVATE_KEY, or the keystore at
+ * EVM_KEYSTORE_PATH unlocked with the configured passphrase
  */
 export function getWallet() {
   const privateKey = getEnv('EVM_PRIVATE_KEY');
-  if (!privateKey) {
+  if (privateKey) {
+    const wallet = new ethers.Wallet(privateKey);
+    const address = getEnv('EVM_ADDRESS');
+    if (address && wallet.address.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`EVM_PRIVATE_KEY belongs to ${wallet.address}, but EVM_ADDRESS is ${address}`);
+    }
+    return wallet;
+  }
+  const keystorePath = getKeystorePath();
+  if (!keystorePath) {
     throw new Error('No private key found in config. Run: node wallet.js generate');
   }
-  return new ethers.Wallet(privateKey);
+  if (_unlocked?.path !== keystorePath) {
+    _unlocked = { path: keystorePath, wallet: readKeystore(keystorePath, getKeystorePassword()) };
+  }
+  return _unlocked.wallet;
 }
 
 /**
- * Generate new wallet
+ * Write a wallet to config, as a keystore or as plaintext EVM_PRIVATE_KEY, replacing
+ * whichever form was stored before
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet
+ * @param {{encrypt?: boolean}} [options]
+ * @returns {{address: string, keystorePath?: string}}
  */
-export function generateWallet() {
-  const wallet = ethers.Wallet.createRandom();
-  
-  // Store in config
+function storeWallet(wallet, { encrypt = hasKeystorePassword() } = {}) {
+  if (encrypt) {
+    const keystorePath = writeKeystore(wallet, getKeystorePassword());
+    updateClawFriendConfig({
+      env: {
+        EVM_KEYSTORE_PATH: keystorePath,
+        EVM_ADDRESS: wallet.address,
+        // undefined keys are left out when the config is written
+        EVM_PRIVATE_KEY: undefined
+      }
+    });
+    _unlocked = null;
+    return { address: wallet.address, keystorePath };
+  }
+
   updateClawFriendConfig({
     env: {
       EVM_PRIVATE_KEY: wallet.privateKey,
-      EVM_ADDRESS: wallet.address
+      EVM_ADDRESS: wallet.address,
+      EVM_KEYSTORE_PATH: undefined
     }
   });
-  
+  return { address: wallet.address };
+}
+
+/**
+ * Check that a derivation path looks like m/44'/60'/0'/0/0
+ */
+function parseDerivationPath(derivationPath = ethers.defaultPath) {
+  if (!/^m(\/\d+'?)+$/.test(derivationPath)) {
+    throw new Error(`Invalid derivation path "${derivationPath}" (e.g. ${ethers.defaultPath})`);
+  }
+  return derivationPath;
+}
+
+/**
+ * Generate new wallet from a fresh BIP-39 mnemonic. The phrase is returned to be shown
+ * once; only the derived key is stored.
+ * @param {{encrypt?: boolean, path?: string}} [options] - encrypt: store the key in a keystore
+ *   instead of plaintext (default: when a keystore passphrase is configured); path: derivation path
+ * @returns {{address: string, privateKey: string, mnemonic: string, path: string, keystorePath?: string}}
+ */
+export function generateWallet({ encrypt, path: derivationPath } = {}) {
+  const wallet = ethers.HDNodeWallet.createRandom('', parseDerivationPath(derivationPath));
+  const stored = storeWallet(wallet, { encrypt });
   return {
-    address: wallet.address,
-    privateKey: wallet.privateKey
+    ...stored,
+    privateKey: wallet.privateKey,
+    mnemonic: wallet.mnemonic.phrase,
+    path: wallet.path
   };
 }
 
+/**
+ * Derive the wallet to import from exactly one source
+ * @param {{mnemonic?: string, path?: string, privateKey?: string, keystore?: string}} source
+ * @returns {ethers.Wallet|ethers.HDNodeWallet}
+ */
+function deriveImportWallet({ mnemonic, path: derivationPath, privateKey, keystore }) {
+  const sources = [mnemonic, privateKey, keystore].filter((v) => v != null);
+  if (sources.length !== 1) {
+    throw new Error('Import needs exactly one of --mnemonic, --private-key or --keystore');
+  }
+  if (derivationPath && mnemonic == null) {
+    throw new Error('--path only applies to --mnemonic');
+  }
+
+  if (mnemonic != null) {
+    const phrase = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new Error('Invalid BIP-39 mnemonic (check the words and their order)');
+    }
+    return ethers.HDNodeWallet.fromPhrase(phrase, '', parseDerivationPath(derivationPath));
+  }
+  if (privateKey != null) {
+    const key = privateKey.trim().startsWith('0x') ? privateKey.trim() : `0x${privateKey.trim()}`;
+    if (!ethers.isHexString(key, 32)) {
+      throw new Error('Invalid private key (expected 32 bytes of hex)');
+    }
+    return new ethers.Wallet(key);
+  }
+
+  if (!fs.existsSync(keystore)) {
+    throw new Error(`Keystore not found: ${keystore}`);
+  }
+  const json = fs.readFileSync(keystore, 'utf8');
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error(`Not a JSON keystore: ${keystore}`);
+  }
+  try {
+    return ethers.Wallet.fromEncryptedJsonSync(json, getKeystorePassword());
+  } catch (e) {
+    throw new Error(`Cannot unlock keystore ${keystore}: ${e.shortMessage || e.message}`);
+  }
+}
+
+/**
+ * Import an existing wallet from a mnemonic (with derivation path), a raw private key or
+ * a JSON keystore. When EVM_ADDRESS is already set, the derived key must match it, so a
+ * registered agent can only restore its own key.
+ * @param {{mnemonic?: string, path?: string, privateKey?: string, keystore?: string, encrypt?: boolean}} source
+ * @returns {{address: string, path?: string, keystorePath?: string}}
+ */
+export function importWallet({ encrypt, ...source }) {
+  const wallet = deriveImportWallet(source);
+  const address = getEnv('EVM_ADDRESS');
+  if (address && wallet.address.toLowerCase() !== address.toLowerCase()) {
+    const hint = source.mnemonic != null
+      ? ' - check the phrase and --path'
+      : '';
+    throw new Error(
+      `Imported key belongs to ${wallet.address}, but EVM_ADDRESS is ${address}${hint}. ` +
+      'To switch wallets, remove EVM_ADDRESS from config first.'
+    );
+  }
+  const stored = storeWallet(wallet, { encrypt: encrypt ?? (source.keystore != null || hasKeystorePassword()) });
+  return wallet.path ? { ...stored, path: wallet.path } : stored;
+}
+
+/**
+ * Move the plaintext EVM_PRIVATE_KEY from config into a keystore file
+ * @param {{keystorePath?: string}} [options]
+ * @returns {{address: string, keystorePath: string}}
+ */
+export function encryptWallet({ keystorePath } = {}) {
+  const privateKey = getClawFriendConfig().env?.EVM_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error(getKeystorePath()
+      ? `Wallet is already encrypted (${getKeystorePath()})`
+      : 'No EVM_PRIVATE_KEY in config to encrypt');
+  }
+  const wallet = new ethers.Wallet(privateKey);
+  const address = getEnv('EVM_ADDRESS');
+  if (address && wallet.address.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`EVM_PRIVATE_KEY belongs to ${wallet.address}, but EVM_ADDRESS is ${address}`);
+  }
+
+  const password = getKeystorePassword();
+  const written = writeKeystore(wallet, password, keystorePath || defaultKeystorePath(wallet.address));
+  // Never drop the plaintext key before the keystore is known to open
+  readKeystore(written, password);
+
+  updateClawFriendConfig({
+    env: {
+      EVM_KEYSTORE_PATH: written,
+      EVM_ADDRESS: wallet.address,
+      // undefined keys are left out when the config is written
+      EVM_PRIVATE_KEY: undefined
+    }
+  });
+  return { address: wallet.address, keystorePath: written };
+}
+
+/**
+ * Put the key from the keystore back into config as plaintext EVM_PRIVATE_KEY.
+ * The keystore file itself is left in place.
+ * @returns {{address: string, keystorePath: string}}
+ */
+export function decryptWallet() {
+  const keystorePath = getClawFriendConfig().env?.EVM_KEYSTORE_PATH;
+  if (!keystorePath) {
+    throw new Error('No EVM_KEYSTORE_PATH in config - the wallet is not encrypted');
+  }
+  const wallet = readKeystore(keystorePath, getKeystorePassword());
+  updateClawFriendConfig({
+    env: {
+      EVM_PRIVATE_KEY: wallet.privateKey,
+      EVM_ADDRESS: wallet.address,
+      EVM_KEYSTORE_PATH: undefined
+    }
+  });
+  return { address: wallet.address, keystorePath };
+}
+
+const ARCHIVE_KEY = 'WALLET_ARCHIVE';
+
+/**
+ * @typedef {Object} ArchivedWallet
+ * @property {string} address - The retired address
+ * @property {string} replacedBy - Address that took over
+ * @property {string} network - Network profile the funds were moved on
+ * @property {'transferring'|'completed'} status - transferring: config already holds the new
+ *   wallet, the old key is kept as EVM_PREVIOUS_* until its BNB is moved
+ * @property {string} startedAt - ISO 8601
+ * @property {string} [completedAt]
+ * @property {string} [keystorePath] - Keystore file of the old key, left on disk
+ * @property {Array<{subject: string, amount: string, hash: string}>} sold
+ * @property {Array<{subject: string, shares: string, reason: string}>} positions - Shares left with the old address
+ * @property {{hash: string, value: string}|null} [transfer]
+ */
+
+/**
+ * Retired wallets, oldest first
+ * @returns {ArchivedWallet[]}
+ */
+export function getWalletArchive() {
+  const archive = getState(ARCHIVE_KEY, []);
+  return Array.isArray(archive) ? archive : [];
+}
+
+function saveArchiveEntry(entry) {
+  const archive = getWalletArchive().filter(
+    (e) => !(e.address.toLowerCase() === entry.address.toLowerCase() && e.replacedBy === entry.replacedBy)
+  );
+  updateState({ [ARCHIVE_KEY]: [...archive, entry] });
+  return entry;
+}
+
+/**
+ * The wallet being rotated away from, while its BNB has not been moved yet
+ * @returns {{wallet: ethers.Wallet, entry: ArchivedWallet}|null}
+ */
+function getPreviousWallet() {
+  const env = getClawFriendConfig().env || {};
+  if (!env.EVM_PREVIOUS_PRIVATE_KEY && !env.EVM_PREVIOUS_KEYSTORE_PATH) return null;
+  const entry = getWalletArchive().findLast((e) => e.status === 'transferring');
+  if (!entry) {
+    throw new Error('EVM_PREVIOUS_* is set in config but no rotation is in progress in the wallet archive');
+  }
+  const wallet = env.EVM_PREVIOUS_PRIVATE_KEY
+    ? new ethers.Wallet(env.EVM_PREVIOUS_PRIVATE_KEY)
+    : readKeystore(env.EVM_PREVIOUS_KEYSTORE_PATH, getKeystorePassword(), entry.address);
+  if (wallet.address.toLowerCase() !== entry.address.toLowerCase()) {
+    throw new Error(`EVM_PREVIOUS_PRIVATE_KEY belongs to ${wallet.address}, but the rotation started from ${entry.address}`);
+  }
+  return { wallet, entry };
+}
+
+/**
+ * What a rotation would do with the current wallet: its BNB balance and, per share position,
+ * how many shares can be sold now (see getSellableShares) and how many stay behind
+ * @returns {Promise<{address: string, balance: bigint, positions: Array<{subject: string, balance: bigint, sellable: bigint, value: bigint|null, own: boolean}>}>}
+ */
+export async function planRotation() {
+  const { getPortfolio, getSellableShares } = await import('./buy-sell-shares.js');
+  const wallet = getWallet().connect(await getProvider());
+  const { positions } = await getPortfolio({ apiFallback: true });
+  const plan = [];
+  for (const p of positions) {
+    if (p.chainBalance === 0n) continue;
+    const own = p.subject.toLowerCase() === wallet.address.toLowerCase();
+    // The agent's own shares are its identity on ClawFriend, so rotation never sells them
+    const { balance, sellable } = own
+      ? { balance: p.chainBalance, sellable: 0n }
+      : await getSellableShares(p.subject);
+    plan.push({ subject: p.subject, balance, sellable, value: p.value, own });
+  }
+  return { address: wallet.address, balance: await wallet.provider.getBalance(wallet.address), positions: plan };
+}
+
+/**
+ * Move the old wallet's BNB to the new one and close the rotation
+ */
+async function finishRotation(previous, gas, wait) {
+  const { transferBnb } = await import('./buy-sell-shares.js');
+  const { wallet, entry } = previous;
+  const from = wallet.connect(await getProvider());
+  const balance = await from.provider.getBalance(from.address);
+  info(`Moving BNB from ${from.address} to ${entry.replacedBy} (balance ${ethers.formatEther(balance)} BNB)...`);
+  try {
+    const result = await transferBnb(from, entry.replacedBy, { sweep: true }, gas, wait);
+    entry.transfer = { hash: result.hash, value: result.value.toString() };
+    success(`Transferred ${ethers.formatEther(result.value)} BNB (tx ${result.hash})`);
+  } catch (e) {
+    if (!/^Nothing to sweep/.test(e.message)) throw e;
+    entry.transfer = null;
+    warning(e.message);
+  }
+
+  entry.status = 'completed';
+  entry.completedAt = new Date().toISOString();
+  saveArchiveEntry(entry);
+  updateClawFriendConfig({
+    env: { EVM_PREVIOUS_PRIVATE_KEY: undefined, EVM_PREVIOUS_KEYSTORE_PATH: undefined }
+  });
+  return entry;
+}
+
+/**
+ * Rotate to a fresh wallet after a suspected key leak:
+ * 1. with --sell-shares, sell what the contract allows of every position (own shares excepted)
+ *    while the old wallet is still the configured one;
+ * 2. generate the new wallet and store it as the active one, keeping the old key as
+ *    EVM_PREVIOUS_PRIVATE_KEY / EVM_PREVIOUS_KEYSTORE_PATH, and archive the old address;
+ * 3. sweep the old wallet's BNB to the new address and drop EVM_PREVIOUS_*.
+ * If step 3 fails, running it again resumes there.
+ * @param {{sellShares?: boolean, encrypt?: boolean, gas?: Object, wait?: Object}} [options]
+ * @returns {Promise<{entry: ArchivedWallet, resumed: boolean}>}
+ */
+export async function rotateWallet({ sellShares = false, encrypt, gas = {}, wait = {} } = {}) {
+  const previous = getPreviousWallet();
+  if (previous) {
+    info(`Resuming rotation ${previous.entry.address} -> ${previous.entry.replacedBy}`);
+    return { entry: await finishRotation(previous, gas, wait), resumed: true };
+  }
+
+  if (process.env.EVM_PRIVATE_KEY || process.env.EVM_ADDRESS) {
+    throw new Error('EVM_PRIVATE_KEY / EVM_ADDRESS are set in the shell environment and would override the new wallet - unset them first');
+  }
+  const env = getClawFriendConfig().env || {};
+  const oldWallet = getWallet();
+  const { sellSharesOnChain } = await import('./buy-sell-shares.js');
+  const plan = await planRotation();
+
+  const sold = [];
+  const positions = [];
+  for (const p of plan.positions) {
+    let left = p.balance;
+    let reason = p.own ? 'own shares' : sellShares ? 'last share of the subject' : 'not sold';
+    if (sellShares && p.sellable > 0n) {
+      try {
+        info(`Selling ${p.sellable} share(s) of ${p.subject}...`);
+        const result = await sellSharesOnChain(p.subject, p.sellable, {}, gas, wait);
+        sold.push({ subject: p.subject, amount: p.sellable.toString(), hash: result.hash });
+        left -= p.sellable;
+      } catch (e) {
+        warning(`Could not sell ${p.subject}: ${e.code ? `${e.code}: ` : ''}${e.message}`);
+        reason = 'sell failed';
+      }
+    }
+    if (left > 0n) {
+      positions.push({ subject: p.subject, shares: left.toString(), reason });
+    }
+  }
+
+  const newWallet = ethers.HDNodeWallet.createRandom();
+  // The old key goes to EVM_PREVIOUS_* before the new one replaces it, so one of the two
+  // config writes failing never leaves the old key unreachable
+  updateClawFriendConfig({
+    env: env.EVM_PRIVATE_KEY
+      ? { EVM_PREVIOUS_PRIVATE_KEY: env.EVM_PRIVATE_KEY }
+      : { EVM_PREVIOUS_KEYSTORE_PATH: env.EVM_KEYSTORE_PATH }
+  });
+  const entry = saveArchiveEntry({
+    address: oldWallet.address,
+    replacedBy: newWallet.address,
+    network: getNetwork().id,
+    status: 'transferring',
+    startedAt: new Date().toISOString(),
+    ...(env.EVM_KEYSTORE_PATH && !env.EVM_PRIVATE_KEY ? { keystorePath: env.EVM_KEYSTORE_PATH } : {}),
+    sold,
+    positions
+  });
+  const stored = storeWallet(newWallet, { encrypt });
+  success(`New wallet ${newWallet.address} is now the configured wallet`);
+  if (stored.keystorePath) info(`Key storage: encrypted keystore (${stored.keystorePath})`);
+  // Shown before any BNB moves: if the transfer fails, the phrase has still been seen
+  printRecoveryPhrase(newWallet.mnemonic.phrase, newWallet.path);
+
+  return {
+    entry: await finishRotation({ wallet: oldWallet, entry }, gas, wait),
+    resumed: false
+  };
+}
+
+// Transfers above this need --yes unless TRANSFER_CONFIRM_BNB says otherwise
+const DEFAULT_TRANSFER_CONFIRM_BNB = '0.1';
+
+/**
+ * Named recipients from skills.entries.clawfriend.addressBook ({ alias: address })
+ * @returns {Object<string, string>}
+ */
+export function getAddressBook() {
+  return getClawFriendConfig().addressBook || {};
+}
+
+/**
+ * Add or replace an address-book entry
+ * @param {string} alias - Letters, digits, "-" and "_"
+ * @param {string} address
+ */
+export function setAddressBookEntry(alias, address) {
+  if (!/^[a-z][a-z0-9_-]{0,31}$/i.test(alias || '')) {
+    throw new Error('Alias must start with a letter and use only letters, digits, "-" or "_" (max 32)');
+  }
+  let checksummed;
+  try {
+    checksummed = ethers.getAddress(address);
+  } catch (e) {
+    throw new Error(`Invalid address for "${alias}": ${address}`);
+  }
+  updateClawFriendConfig({ addressBook: { ...getAddressBook(), [alias.toLowerCase()]: checksummed } });
+  return checksummed;
+}
+
+/**
+ * @param {string} alias
+ * @returns {boolean} Whether an entry was removed
+ */
+export function removeAddressBookEntry(alias) {
+  const book = { ...getAddressBook() };
+  if (!(alias.toLowerCase() in book)) return false;
+  delete book[alias.toLowerCase()];
+  updateClawFriendConfig({ addressBook: book });
+  return true;
+}
+
+/**
+ * Resolve a recipient given as an address or an address-book alias
+ * @param {string} nameOrAddress
+ * @returns {{address: string, alias: string|null}}
+ */
+export function resolveRecipient(nameOrAddress) {
+  if (ethers.isAddress(nameOrAddress)) {
+    const address = ethers.getAddress(nameOrAddress);
+    const alias = Object.keys(getAddressBook()).find((a) => getAddressBook()[a].toLowerCase() === address.toLowerCase());
+    return { address, alias: alias ?? null };
+  }
+  const entry = getAddressBook()[String(nameOrAddress).toLowerCase()];
+  if (!entry) {
+    throw new Error(`"${nameOrAddress}" is neither an address nor an address-book alias (see "node wallet.js book")`);
+  }
+  return { address: ethers.getAddress(entry), alias: String(nameOrAddress).toLowerCase() };
+}
+
+/**
+ * Amount above which send/sweep need --yes (TRANSFER_CONFIRM_BNB, default 0.1 BNB)
+ * @returns {bigint} Wei
+ */
+export function getTransferConfirmThreshold() {
+  const raw = getEnv('TRANSFER_CONFIRM_BNB', DEFAULT_TRANSFER_CONFIRM_BNB);
+  try {
+    return ethers.parseEther(String(raw));
+  } catch (e) {
+    throw new Error(`TRANSFER_CONFIRM_BNB must be a BNB amount, got "${raw}"`);
+  }
+}
+
+/**
+ * Check a transfer from the configured wallet before anything is signed: the recipient,
+ * the amount (estimated for a sweep) and whether it needs --yes
+ * @param {string} to - Address or alias
+ * @param {{value?: bigint, sweep?: boolean, keep?: bigint}} amount
+ * @returns {Promise<{wallet: ethers.Wallet, to: string, alias: string|null, value: bigint, balance: bigint, confirmReasons: string[]}>}
+ */
+export async function prepareTransfer(to, { value, sweep = false, keep = 0n }) {
+  const { address, alias } = resolveRecipient(to);
+  const wallet = getWallet().connect(await getProvider());
+  const provider = wallet.provider;
+  const network = getNetwork();
+
+  if (address === ethers.ZeroAddress) throw new Error('Refusing to send to the zero address');
+  if (address.toLowerCase() === wallet.address.toLowerCase()) throw new Error('Recipient is this wallet');
+  if (network.contractAddress && address.toLowerCase() === network.contractAddress.toLowerCase()) {
+    throw new Error('Recipient is the ClawFriend contract - BNB sent there is not credited to you');
+  }
+
+  const balance = await provider.getBalance(wallet.address);
+  if (sweep) {
+    // Estimate only; transferBnb recomputes the exact amount right before signing
+    const [gasLimit, feeData] = await Promise.all([
+      provider.estimateGas({ from: wallet.address, to: address, value: 0n }),
+      provider.getFeeData()
+    ]);
+    value = balance - gasLimit * (feeData.gasPrice ?? 0n) - keep;
+    if (value <= 0n) throw new Error(`Nothing to sweep: balance ${ethers.formatEther(balance)} BNB`);
+  } else if (value == null || value <= 0n) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  const confirmReasons = [];
+  const threshold = getTransferConfirmThreshold();
+  if (value > threshold) {
+    confirmReasons.push(`amount is above ${ethers.formatEther(threshold)} BNB (TRANSFER_CONFIRM_BNB)`);
+  }
+  if ((await provider.getCode(address)) !== '0x') {
+    confirmReasons.push('recipient is a contract');
+  }
+  return { wallet, to: address, alias, value, balance, confirmReasons };
+}
+
+/**
+ * Print the outcome of a send/sweep
+ */
+function printTransferReceipt(result, alias) {
+  const { receipt, tx } = result;
+  const fee = receipt.fee ?? receipt.gasUsed * (receipt.gasPrice ?? tx.gasPrice ?? 0n);
+  success(`Sent ${ethers.formatEther(result.value)} BNB`);
+  info(`  From: ${tx.from}`);
+  info(`  To: ${tx.to}${alias ? ` (${alias})` : ''}`);
+  info(`  Tx: ${result.hash}`);
+  info(`  Block: ${receipt.blockNumber}${result.confirmations > 1 ? ` (${result.confirmations} confirmations)` : ''}`);
+  info(`  Gas: ${receipt.gasUsed} used, fee ${ethers.formatEther(fee)} BNB`);
+  const { explorerUrl } = getNetwork();
+  if (explorerUrl) info(`  Explorer: ${explorerUrl}/tx/${result.hash}`);
+}
+
+/**
+ * Show a new wallet's BIP-39 phrase - the only time it is ever shown
+ * @param {string} phrase
+ * @param {string} derivationPath
+ */
+export function printRecoveryPhrase(phrase, derivationPath) {
+  console.log('\n🔑 Recovery phrase (BIP-39) - shown only this once, it is NOT saved anywhere:\n');
+  console.log(`   ${phrase}\n`);
+  info(`Derivation path: ${derivationPath}`);
+  warning('Write the phrase down offline and hand it to your human. Never paste it into chats, APIs or files.');
+  info('Restore later with: node wallet.js import --mnemonic - [--path <path>]');
+}
+
 /**
  * Sign registration message
  */
@@ -74,19 +672,53 @@ export async function signRegistrationMessage(name) {
   };
 }
 
+/**
+ * Sign the API key recovery message for this wallet.
+ * The address in the message (and sent to /v1/agents/recover) must be lowercase.
+ */
+export async function signRecoveryMessage() {
+  const wallet = getWallet();
+  const address = wallet.address.toLowerCase();
+  const message = `Recover my agent on ClawFriend: ${address}`;
+  const signature = await wallet.signMessage(message);
+
+  return {
+    message,
+    signature,
+    address
+  };
+}
+
 /**
  * CLI Commands
  */
 async function main() {
   const command = process.argv[2];
-  
+  const networkIndex = process.argv.indexOf('--network');
+  const flagValue = (name) => {
+    const index = process.argv.indexOf(name);
+    if (index === -1) return undefined;
+    const value = process.argv[index + 1];
+    if (value === undefined || (value.startsWith('--') && value !== '-')) {
+      throw new Error(`${name} needs a value`);
+    }
+    // "-" reads secrets from stdin so they stay out of shell history and the process list
+    return value === '-' ? fs.readFileSync(0, 'utf8').trim() : value;
+  };
+
   try {
+    if (networkIndex !== -1) setNetwork(process.argv[networkIndex + 1]);
+    const network = getNetwork();
+    
     switch (command) {
       case 'check': {
         if (hasWallet()) {
           const address = getEnv('EVM_ADDRESS');
           success(`Wallet found: ${address}`);
-          info('Network: BNB (Chain ID: 56)');
+          info(getKeystorePath() && !getEnv('EVM_PRIVATE_KEY')
+            ? `Key storage: encrypted keystore (${getKeystorePath()})`
+            : 'Key storage: plaintext EVM_PRIVATE_KEY (run "node wallet.js encrypt" to move it into a keystore)');
+          info(`Network: ${network.name} (Chain ID: ${network.chainId})`);
         } else {
           warning('No wallet found in config');
           info('Run: node wallet.js generate');
@@ -98,19 +730,191 @@ async function main() {
         if (hasWallet()) {
           const address = getEnv('EVM_ADDRESS');
           warning(`Wallet already exists: ${address}`);
-          warning('To generate a new wallet, first remove EVM_PRIVATE_KEY from config');
+          warning('To generate a new wallet, first remove EVM_PRIVATE_KEY / EVM_KEYSTORE_PATH from config');
           process.exit(1);
         }
         
-        const wallet = generateWallet();
+        const wallet = generateWallet({
+          encrypt: process.argv.includes('--encrypt') || undefined,
+          path: flagValue('--path')
+        });
         success('EVM Wallet Created Successfully!');
-        info(`Network: BNB (Chain ID: 56)`);
+        info(`Network: ${network.name} (Chain ID: ${network.chainId})`);
         info(`Address: ${wallet.address}`);
-        warning('The private key has been stored securely in your OpenClaw config.');
+        if (wallet.keystorePath) {
+          warning(`The private key has been stored in an encrypted keystore: ${wallet.keystorePath}`);
+          warning('Keep the keystore passphrase somewhere safe - the key cannot be recovered without it.');
+        } else {
+          warning('The private key has been stored securely in your OpenClaw config.');
+        }
+        printRecoveryPhrase(wallet.mnemonic, wallet.path);
         warning('You may need to fund this wallet with BNB on BNB network for future transactions.');
         break;
       }
       
+      case 'import': {
+        const result = importWallet({
+          mnemonic: flagValue('--mnemonic'),
+          path: flagValue('--path'),
+          privateKey: flagValue('--private-key'),
+          keystore: flagValue('--keystore'),
+          encrypt: process.argv.includes('--encrypt') || undefined
+        });
+        success(`Wallet imported: ${result.address}`);
+        if (result.path) info(`Derivation path: ${result.path}`);
+        info(result.keystorePath
+          ? `Key storage: encrypted keystore (${result.keystorePath})`
+          : 'Key storage: plaintext EVM_PRIVATE_KEY in config');
+        break;
+      }
+
+      case 'encrypt': {
+        const result = encryptWallet({ keystorePath: flagValue('--keystore') });
+        success(`Private key moved to encrypted keystore: ${result.keystorePath}`);
+        info(`Address: ${result.address}`);
+        info('EVM_PRIVATE_KEY removed from config; EVM_KEYSTORE_PATH now points to the keystore.');
+        if (process.env.EVM_PRIVATE_KEY) {
+          warning('EVM_PRIVATE_KEY is still set in your shell environment and takes precedence - unset it.');
+        }
+        warning('Old copies of openclaw.json (backups) still contain the plaintext key.');
+        break;
+      }
+
+      case 'decrypt': {
+        const result = decryptWallet();
+        success('Private key restored to config as plaintext EVM_PRIVATE_KEY');
+        info(`Address: ${result.address}`);
+        info(`The keystore file was kept: ${result.keystorePath}`);
+        break;
+      }
+
+      case 'rotate': {
+        const { parseGasOptions, parseWaitOptions } = await import('./buy-sell-shares.js');
+        const gas = parseGasOptions({ 'gas-price': flagValue('--gas-price') });
+        const wait = parseWaitOptions({ confirmations: flagValue('--confirmations'), timeout: flagValue('--timeout') });
+        const sellShares = process.argv.includes('--sell-shares');
+        const resuming = !!(getEnv('EVM_PREVIOUS_PRIVATE_KEY') || getEnv('EVM_PREVIOUS_KEYSTORE_PATH'));
+
+        if (!resuming) {
+          const plan = await planRotation();
+          info(`Rotating away from ${plan.address} on ${network.name} (Chain ID: ${network.chainId})`);
+          info(`BNB balance: ${ethers.formatEther(plan.balance)} BNB - swept to the new wallet, minus gas`);
+          for (const p of plan.positions) {
+            const action = p.own
+              ? 'kept (own shares)'
+              : sellShares && p.sellable > 0n
+                ? `sell ${p.sellable}${p.balance > p.sellable ? `, keep ${p.balance - p.sellable} (last share)` : ''}`
+                : `kept${p.sellable === 0n ? ' (last share of the subject)' : ''}`;
+            console.log(`  ${p.subject}: ${p.balance} share(s) - ${action}`);
+          }
+          if (plan.positions.length === 0) info('No share positions');
+          if (process.argv.includes('--dry-run')) break;
+          if (!process.argv.includes('--yes')) {
+            warning('This replaces the configured wallet. Re-run with --yes to rotate.');
+            process.exit(1);
+          }
+        }
+
+        const { entry } = await rotateWallet({
+          sellShares,
+          encrypt: process.argv.includes('--encrypt') || undefined,
+          gas,
+          wait
+        });
+        success(`Rotation complete: ${entry.address} -> ${entry.replacedBy}`);
+        for (const p of entry.positions) {
+          warning(`${p.shares} share(s) of ${p.subject} stay with ${entry.address} (${p.reason})`);
+        }
+        if (entry.positions.length > 0) {
+          info('They are listed in the wallet archive ("node wallet.js archive"); selling them later needs the old key.');
+        }
+        warning('ClawFriend knows your agent by its old address. Tell your human that the agent now signs with the new one.');
+        break;
+      }
+
+      case 'archive': {
+        const archive = getWalletArchive();
+        if (archive.length === 0) {
+          info('No retired wallets');
+          break;
+        }
+        for (const e of archive) {
+          console.log(`\n${e.address} -> ${e.replacedBy} (${e.network}, ${e.status}, ${e.completedAt || e.startedAt})`);
+          if (e.transfer) console.log(`  BNB moved: ${ethers.formatEther(e.transfer.value)} BNB (tx ${e.transfer.hash})`);
+          e.sold.forEach((t) => console.log(`  Sold ${t.amount} share(s) of ${t.subject} (tx ${t.hash})`));
+          e.positions.forEach((p) => console.log(`  Left: ${p.shares} share(s) of ${p.subject} (${p.reason})`));
+          if (e.keystorePath) console.log(`  Old keystore: ${e.keystorePath}`);
+        }
+        break;
+      }
+
+      case 'send':
+      case 'sweep': {
+        const sweep = command === 'sweep';
+        const to = process.argv[3];
+        const amountArg = sweep ? null : process.argv[4];
+        if (!to || to.startsWith('--') || (!sweep && (!amountArg || amountArg.startsWith('--')))) {
+          error(sweep ? 'Usage: node wallet.js sweep <to> [--keep <bnb>] [--yes]' : 'Usage: node wallet.js send <to> <amount-bnb> [--yes]');
+          process.exit(1);
+        }
+        const parseBnbArg = (raw, name) => {
+          try {
+            return ethers.parseEther(String(raw));
+          } catch (e) {
+            throw new Error(`${name} must be a BNB amount (e.g. 0.05)`);
+          }
+        };
+        const { transferBnb, parseGasOptions, parseWaitOptions } = await import('./buy-sell-shares.js');
+        const gas = parseGasOptions({ 'gas-price': flagValue('--gas-price') });
+        const wait = parseWaitOptions({ confirmations: flagValue('--confirmations'), timeout: flagValue('--timeout') });
+        const keepArg = flagValue('--keep');
+        const keep = keepArg != null ? parseBnbArg(keepArg, '--keep') : 0n;
+        const value = sweep ? undefined : parseBnbArg(amountArg, 'Amount');
+
+        const plan = await prepareTransfer(to, { value, sweep, keep });
+        info(`Network: ${network.name} (Chain ID: ${network.chainId})`);
+        info(`From: ${plan.wallet.address} (balance ${ethers.formatEther(plan.balance)} BNB)`);
+        info(`To: ${plan.to}${plan.alias ? ` (${plan.alias})` : ''}`);
+        info(`Amount: ${sweep ? '~' : ''}${ethers.formatEther(plan.value)} BNB${sweep ? ` (whole balance minus gas${keep > 0n ? ` and ${ethers.formatEther(keep)} BNB kept` : ''})` : ''}`);
+        if (process.argv.includes('--dry-run')) break;
+        if (plan.confirmReasons.length > 0 && !process.argv.includes('--yes')) {
+          warning(`Confirmation required: ${plan.confirmReasons.join('; ')}. Re-run with --yes to send.`);
+          process.exit(1);
+        }
+
+        const result = await transferBnb(plan.wallet, plan.to, { value, sweep, keep }, gas, wait);
+        printTransferReceipt(result, plan.alias);
+        const left = await plan.wallet.provider.getBalance(plan.wallet.address, result.receipt.blockNumber);
+        info(`Balance left: ${ethers.formatEther(left)} BNB (at block ${result.receipt.blockNumber})`);
+        break;
+      }
+
+      case 'book': {
+        const sub = process.argv[3] || 'list';
+        if (sub === 'add') {
+          const [alias, address] = [process.argv[4], process.argv[5]];
+          if (!alias || !address) {
+            error('Usage: node wallet.js book add <alias> <address>');
+            process.exit(1);
+          }
+          success(`${alias.toLowerCase()} -> ${setAddressBookEntry(alias, address)}`);
+        } else if (sub === 'remove') {
+          if (!process.argv[4] || !removeAddressBookEntry(process.argv[4])) {
+            error(`No address-book entry "${process.argv[4] ?? ''}"`);
+            process.exit(1);
+          }
+          success(`Removed ${process.argv[4].toLowerCase()}`);
+        } else if (sub === 'list') {
+          const entries = Object.entries(getAddressBook());
+          if (entries.length === 0) info('Address book is empty (node wallet.js book add <alias> <address>)');
+          entries.forEach(([alias, address]) => console.log(`${alias.padEnd(20)} ${address}`));
+        } else {
+          error('Usage: node wallet.js book [list|add <alias> <address>|remove <alias>]');
+          process.exit(1);
+        }
+        break;
+      }
+
       case 'sign': {
         const name = process.argv[3];
         if (!name) {
@@ -138,18 +942,17 @@ async function main() {
       }
 
       case 'balance': {
-        const rpcUrl = getEnv('EVM_RPC_URL', 'https://bsc-dataseed.binance.org');
         const address = getEnv('EVM_ADDRESS');
         if (!address) {
           error('Set EVM_ADDRESS in config to check balance on-chain.');
           process.exit(1);
         }
-        const provider = new ethers.JsonRpcProvider(rpcUrl || 'https://bsc-dataseed.binance.org');
+        const provider = await getProvider();
         const balanceWei = await provider.getBalance(address);
         const balanceBnb = ethers.formatEther(balanceWei);
         success(`Balance: ${balanceBnb} BNB`);
         info(`Address: ${address}`);
-        info('Network: BNB (Chain ID: 56) - balance from RPC on-chain');
+        info(`Network: ${network.name} (Chain ID: ${network.chainId}) - balance from RPC on-chain`);
         break;
       }
       
@@ -157,10 +960,27 @@ async function main() {
         console.log('ClawFriend Wallet Manager\n');
         console.log('Usage:');
         console.log('  node wallet.js check              - Check if wallet exists');
-        console.log('  node wallet.js generate           - Generate new wallet');
+        console.log('  node wallet.js generate           - Generate new wallet and show its recovery phrase once');
+        console.log('                                      [--encrypt] [--path <derivation path>]');
+        console.log('  node wallet.js import             - Import a wallet: --mnemonic <phrase> [--path <path>] |');
+        console.log('                                      --private-key <hex> | --keystore <file>  [--encrypt]');
+        console.log('                                      (pass "-" as the value to read it from stdin)');
+        console.log('  node wallet.js encrypt            - Move EVM_PRIVATE_KEY into an encrypted keystore (--keystore <path>)');
+        console.log('  node wallet.js decrypt            - Restore the keystore key to plaintext EVM_PRIVATE_KEY');
+        console.log('  node wallet.js rotate             - Move to a new wallet after a suspected leak (--dry-run to preview)');
+        console.log('                                      [--yes] [--sell-shares] [--encrypt] [--gas-price <gwei>]');
+        console.log('  node wallet.js archive            - List retired wallets and the shares left with them');
+        console.log('  node wallet.js send <to> <bnb>    - Send BNB to an address or address-book alias');
+        console.log('  node wallet.js sweep <to>         - Send the whole balance minus gas [--keep <bnb>]');
+        console.log('                                      send/sweep: [--yes] [--dry-run] [--gas-price <gwei>] [--confirmations <n>] [--timeout <sec>]');
+        console.log('  node wallet.js book [list]        - Address book (book add <alias> <address> | book remove <alias>)');
         console.log('  node wallet.js sign <name>        - Sign registration message');
         console.log('  node wallet.js address            - Display wallet address');
         console.log('  node wallet.js balance            - Get BNB balance on-chain (RPC)');
+        console.log('\nOptions:');
+        console.log('  --network <name>                  - Network profile (default: CLAWFRIEND_NETWORK or mainnet)');
+        console.log('\nKeystore passphrase: EVM_KEYSTORE_PASSWORD (shell env) or EVM_KEYSTORE_PASSWORD_FILE (path)');
+        console.log('Transfers above TRANSFER_CONFIRM_BNB (default 0.1 BNB) or to a contract need --yes');
         break;
       }
     }